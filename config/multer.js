@@ -1,61 +1,92 @@
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-
-// Ensure upload directory exists
-const uploadDir = process.env.UPLOAD_PATH || './uploads';
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-}
-
-// Configure storage
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    // Generate unique filename: timestamp-randomString-originalName
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    const nameWithoutExt = path.basename(file.originalname, ext);
-    cb(null, `${nameWithoutExt}-${uniqueSuffix}${ext}`);
+const { releaseBlob } = require('../services/blobs');
+const { MAX_UPLOAD_SIZE } = require('../services/fileTypes');
+const { getUploadPolicy } = require('../services/uploadPolicy');
+const { checkFileType, storeUpload } = require('../services/ingest');
+
+/**
+ * Upload policy of the college receiving the upload (the target file's college
+ * when uploading a new version), loaded once per request
+ */
+const loadUploadPolicy = (req) => {
+  if (!req.uploadPolicy) {
+    const collegeId = req.targetFile ? req.targetFile.college : req.user.college._id;
+    req.uploadPolicy = getUploadPolicy(collegeId);
   }
-});
+  return req.uploadPolicy;
+};
+
+const removeFile = (req, file, cb) => {
+  releaseBlob(file.storageKey)
+    .then(() => cb(null))
+    .catch(cb);
+};
+
+/**
+ * Multer storage engine that streams uploads into the configured storage driver
+ * Sets req.file.storageKey (and filename, for compatibility), checksum, size
+ * and the detected mimetype; a rejected file fails the whole request
+ */
+const storageEngine = {
+  _handleFile(req, file, cb) {
+    loadUploadPolicy(req)
+      .then(policy => storeUpload(file.stream, file, policy))
+      .then(stored => cb(null, { ...stored, filename: stored.storageKey }))
+      .catch(cb);
+  },
+
+  _removeFile: removeFile
+};
+
+/**
+ * Storage engine for bulk uploads: a rejected file does not fail the request
+ * but is kept in req.files with rejected: { code, message }
+ */
+const bulkStorageEngine = {
+  _handleFile(req, file, cb) {
+    loadUploadPolicy(req)
+      .then(policy => storeUpload(file.stream, file, policy))
+      .then(stored => cb(null, { ...stored, filename: stored.storageKey }))
+      .catch((error) => {
+        if (error.status !== 400) {
+          return cb(error);
+        }
+        // Skip the rest of this file so the following ones can be read
+        file.stream.resume();
+        cb(null, { rejected: { code: error.code, message: error.message } });
+      });
+  },
+
+  _removeFile: removeFile
+};
 
-// File filter to validate file types
+// File filter: reject unsupported or disallowed extensions before any bytes are stored
 const fileFilter = (req, file, cb) => {
-  // Allowed file types for educational resources
-  const allowedTypes = [
-    'application/pdf',
-    'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'application/vnd.ms-powerpoint',
-    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-    'application/vnd.ms-excel',
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    'text/plain',
-    'image/jpeg',
-    'image/png',
-    'image/gif',
-    'application/zip',
-    'application/x-zip-compressed'
-  ];
-
-  if (allowedTypes.includes(file.mimetype)) {
-    cb(null, true);
-  } else {
-    cb(new Error('Invalid file type. Only PDF, DOC, DOCX, PPT, PPTX, XLS, XLSX, TXT, images, and ZIP files are allowed.'), false);
-  }
+  loadUploadPolicy(req)
+    .then(policy => {
+      checkFileType(policy, file);
+      cb(null, true);
+    })
+    .catch(error => cb(error, false));
 };
 
 // Configure multer
+// Per-file size limits come from the college upload policy; this is only the platform ceiling
 const upload = multer({
-  storage: storage,
+  storage: storageEngine,
   limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10485760 // Default: 10MB
+    fileSize: MAX_UPLOAD_SIZE
   },
   fileFilter: fileFilter
 });
 
-module.exports = upload;
+// Bulk uploads check each file in the storage engine so failures are reported per file
+const bulkUpload = multer({
+  storage: bulkStorageEngine,
+  limits: {
+    fileSize: MAX_UPLOAD_SIZE,
+    files: parseInt(process.env.BULK_UPLOAD_MAX_FILES) || 20
+  }
+});
 
+module.exports = { upload, bulkUpload, loadUploadPolicy };
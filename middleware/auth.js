@@ -1,58 +1,213 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+
+/**
+ * Send a 401 response with a machine-readable error code
+ * Codes let the frontend distinguish "refresh silently" from "log in again"
+ */
+const unauthorized = (res, code, message) => {
+  return res.status(401).json({
+    success: false,
+    code,
+    message
+  });
+};
+
+/**
+ * Send the 403 response for a banned account
+ */
+const accountBanned = (res, user) => {
+  return res.status(403).json({
+    success: false,
+    code: 'ACCOUNT_BANNED',
+    message: 'Your account has been suspended',
+    reason: user.ban.reason,
+    bannedUntil: user.ban.bannedUntil
+  });
+};
 
 /**
  * Middleware to protect routes that require authentication
  * Verifies JWT token and attaches user info to request
+ *
+ * Error codes: NO_TOKEN, TOKEN_EXPIRED (refresh and retry),
+ * TOKEN_REVOKED and TOKEN_INVALID (log in again), ACCOUNT_BANNED (403)
  */
 const protect = async (req, res, next) => {
-  let token;
-
   // Check for token in Authorization header
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    try {
-      // Get token from header
-      token = req.headers.authorization.split(' ')[1];
-
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Get user from token (excluding password)
-      req.user = await User.findById(decoded.id).select('-password').populate('college', 'name domain');
-
-      if (!req.user) {
-        return res.status(401).json({
-          success: false,
-          message: 'User not found'
-        });
-      }
-
-      next();
-    } catch (error) {
-      console.error('Auth middleware error:', error.message);
-      return res.status(401).json({
-        success: false,
-        message: 'Not authorized, token failed'
-      });
-    }
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
+    return unauthorized(res, 'NO_TOKEN', 'Not authorized, no token provided');
   }
 
+  // Get token from header
+  const token = req.headers.authorization.split(' ')[1];
   if (!token) {
-    return res.status(401).json({
+    return unauthorized(res, 'NO_TOKEN', 'Not authorized, no token provided');
+  }
+
+  let decoded;
+  try {
+    // Verify token
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return unauthorized(res, 'TOKEN_EXPIRED', 'Access token has expired');
+    }
+    console.error('Auth middleware error:', error.message);
+    return unauthorized(res, 'TOKEN_INVALID', 'Not authorized, token failed');
+  }
+
+  try {
+    // Get user from token (excluding password)
+    req.user = await User.findById(decoded.id).select('-password').populate('college', 'name domain');
+
+    if (!req.user) {
+      return unauthorized(res, 'TOKEN_INVALID', 'User not found');
+    }
+
+    // Tokens issued before a "log out all devices" or password change are revoked
+    if ((decoded.ver || 0) !== (req.user.tokenVersion || 0)) {
+      return unauthorized(res, 'TOKEN_REVOKED', 'Access token has been revoked');
+    }
+
+    // Tokens belonging to a logged-out session are revoked
+    if (decoded.sid && !(await RefreshToken.isFamilyActive(decoded.sid))) {
+      return unauthorized(res, 'TOKEN_REVOKED', 'Session has been logged out');
+    }
+
+    // Banned users are blocked on every request
+    if (req.user.isBanned) {
+      return accountBanned(res, req.user);
+    }
+
+    req.auth = { sessionId: decoded.sid || null };
+
+    next();
+  } catch (error) {
+    console.error('Auth middleware error:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error during authentication'
+    });
+  }
+};
+
+/**
+ * Middleware to block users who have not verified their college email
+ * Must be used after protect so req.user is populated
+ */
+const requireVerified = (req, res, next) => {
+  if (!req.user.isVerified) {
+    return res.status(403).json({
       success: false,
-      message: 'Not authorized, no token provided'
+      code: 'EMAIL_NOT_VERIFIED',
+      message: 'Please verify your email address to access this resource'
     });
   }
+
+  next();
+};
+
+/**
+ * Middleware factory to restrict routes to specific user roles
+ * Must be used after protect so req.user is populated
+ * @param {...string} roles - Allowed roles (student, moderator, admin)
+ */
+const authorize = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: insufficient permissions'
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Check whether a user may moderate resources of a college
+ * Platform admins moderate every college, moderators only their own
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string|Object} collegeId - College ID or populated college
+ * @returns {boolean}
+ */
+const canModerateCollege = (user, collegeId) => {
+  if (!user) {
+    return false;
+  }
+
+  if (user.role === 'admin') {
+    return true;
+  }
+
+  const targetId = collegeId && collegeId._id ? collegeId._id : collegeId;
+  const userCollegeId = user.college && user.college._id ? user.college._id : user.college;
+
+  return user.role === 'moderator' &&
+    !!targetId &&
+    targetId.toString() === userCollegeId.toString();
 };
 
 /**
- * Generate JWT token (No expiration)
- * @param {string} id - User ID
+ * Generate short-lived JWT access token (JWT_EXPIRE, default 15m)
+ * @param {Object} user - User document (id and tokenVersion are embedded)
+ * @param {string} sessionId - Refresh token family the access token belongs to
  * @returns {string} JWT token
  */
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET);
+const generateToken = (user, sessionId) => {
+  return jwt.sign(
+    { id: user._id, ver: user.tokenVersion || 0, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
+  );
+};
+
+/**
+ * Start or continue a session: issue an access token and a refresh token
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (for IP and user agent)
+ * @param {Object} refresh - Already issued refresh token { token, doc } (on rotation)
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn }
+ */
+const issueAuthTokens = async (user, req, refresh) => {
+  if (!refresh) {
+    refresh = await RefreshToken.issue(user._id, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  }
+
+  const token = generateToken(user, refresh.doc.family);
+  const { exp, iat } = jwt.decode(token);
+
+  return {
+    token,
+    refreshToken: refresh.token,
+    expiresIn: exp - iat
+  };
 };
 
-module.exports = { protect, generateToken };
+/**
+ * Revoke every session of a user: all refresh tokens and all access tokens
+ * @param {Object} user - User document
+ * @param {string} reason - Revocation reason stored on the refresh tokens
+ */
+const revokeAllSessions = async (user, reason = 'logout_all') => {
+  await User.updateOne({ _id: user._id }, { $inc: { tokenVersion: 1 } });
+  await RefreshToken.revokeAllForUser(user._id, reason);
+  user.tokenVersion = (user.tokenVersion || 0) + 1;
+};
 
+module.exports = {
+  protect,
+  requireVerified,
+  authorize,
+  canModerateCollege,
+  accountBanned,
+  generateToken,
+  issueAuthTokens,
+  revokeAllSessions
+};
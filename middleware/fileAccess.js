@@ -0,0 +1,58 @@
+const { validationResult } = require('express-validator');
+const File = require('../models/File');
+const { isHiddenFrom } = require('../services/moderation');
+
+/**
+ * Middleware to load the file from req.params.id for routes nested below
+ * /api/files/:id, with the same college and hidden file checks as GET /api/files/:id
+ * Must be used after protect and the param('id') validation
+ * Sets req.targetFile
+ */
+const loadAccessibleFile = async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const file = await File.findById(req.params.id);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    // CRITICAL: Verify user has access to this file (same college)
+    if (file.college.toString() !== req.user.college._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You can only access files from your college'
+      });
+    }
+
+    // Hidden files are reported as missing to everyone but their uploader and moderators
+    if (isHiddenFrom(req.user, file)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    req.targetFile = file;
+    next();
+  } catch (error) {
+    console.error('Load file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching file'
+    });
+  }
+};
+
+module.exports = { loadAccessibleFile };
@@ -0,0 +1,63 @@
+const { defaultStore } = require('../services/rateLimitStore');
+
+/**
+ * Middleware factory for fixed-window rate limiting
+ * Responds 429 with a Retry-After header once the limit is exceeded
+ * @param {Object} options
+ * @param {string} options.name - Limiter name, used to namespace store keys
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Requests allowed per window and key
+ * @param {Function} options.keyGenerator - (req) => key; defaults to client IP, falsy skips limiting
+ * @param {string} options.message - Error message
+ * @param {Object} options.store - Counter store (defaults to the shared in-memory store)
+ */
+const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator = (req) => req.ip,
+  message = 'Too many requests, please try again later',
+  store = defaultStore
+}) => {
+  return async (req, res, next) => {
+    const key = keyGenerator(req);
+    if (!key) {
+      return next();
+    }
+
+    try {
+      const { count, resetAt } = await store.increment(`${name}:${key}`, windowMs);
+      const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+      res.setHeader('RateLimit-Limit', max);
+      res.setHeader('RateLimit-Remaining', Math.max(0, max - count));
+      res.setHeader('RateLimit-Reset', retryAfter);
+
+      if (count > max) {
+        res.setHeader('Retry-After', retryAfter);
+        return res.status(429).json({
+          success: false,
+          code: 'RATE_LIMITED',
+          message,
+          retryAfter
+        });
+      }
+
+      next();
+    } catch (error) {
+      // Fail open: a broken limiter store must not take authentication down
+      console.error('Rate limit store error:', error.message);
+      next();
+    }
+  };
+};
+
+/**
+ * Key generator for per-account limits (normalized email from the request body)
+ */
+const emailKey = (req) => {
+  const email = req.body && typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+  return email || null;
+};
+
+module.exports = { rateLimit, emailKey };
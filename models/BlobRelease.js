@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// A blob no longer referenced by any file, kept until its grace period is
+// over (see releaseBlob in services/blobs.js)
+const blobReleaseSchema = new mongoose.Schema({
+  storageKey: {
+    type: String,
+    required: [true, 'Storage key is required'],
+    unique: true
+  },
+  releaseAfter: {
+    type: Date,
+    required: [true, 'Release date is required'],
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('BlobRelease', blobReleaseSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// A file saved by a user
+const bookmarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: [true, 'File is required'],
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+bookmarkSchema.index({ user: 1, file: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Most files a collection can hold
+const MAX_COLLECTION_FILES = 500;
+
+const collectionItemSchema = new mongoose.Schema({
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: true
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+// A named group of files kept by a user, optionally shared with their college
+const collectionSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required']
+  },
+  // Owner's college; shared collections are visible to its members only
+  college: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'College',
+    required: [true, 'College is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Collection name is required'],
+    trim: true,
+    maxlength: [100, 'Collection name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  visibility: {
+    type: String,
+    enum: {
+      values: ['private', 'college'],
+      message: 'Visibility must be private or college'
+    },
+    default: 'private'
+  },
+  files: {
+    type: [collectionItemSchema],
+    default: [],
+    validate: {
+      validator: v => v.length <= MAX_COLLECTION_FILES,
+      message: `A collection cannot hold more than ${MAX_COLLECTION_FILES} files`
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Names are unique per owner, ignoring case
+collectionSchema.index(
+  { owner: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+collectionSchema.index({ college: 1, visibility: 1, updatedAt: -1 });
+collectionSchema.index({ 'files.file': 1 });
+
+collectionSchema.statics.MAX_FILES = MAX_COLLECTION_FILES;
+
+module.exports = mongoose.model('Collection', collectionSchema);
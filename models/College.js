@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { FILE_TYPE_NAMES, MAX_UPLOAD_SIZE } = require('../services/fileTypes');
 
 const collegeSchema = new mongoose.Schema({
   name: {
@@ -20,6 +21,21 @@ const collegeSchema = new mongoose.Schema({
       },
       message: props => `${props.value} is not a valid domain!`
     }
+  },
+  // Upload restrictions; unset fields fall back to the platform defaults
+  uploadPolicy: {
+    allowedTypes: {
+      type: [{
+        type: String,
+        enum: FILE_TYPE_NAMES
+      }],
+      default: undefined
+    },
+    maxFileSize: {
+      type: Number,
+      min: [1, 'Maximum file size must be positive'],
+      max: [MAX_UPLOAD_SIZE, 'Maximum file size cannot exceed 500MB']
+    }
   }
 }, {
   timestamps: true
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// A comment in the discussion of a file. Threads are two levels deep: replies
+// (also replies to replies) belong to the top-level comment in parent, and
+// replyTo records the comment that was answered.
+const commentSchema = new mongoose.Schema({
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: [true, 'File is required']
+  },
+  // Copied from the file so comments can be scoped without a lookup
+  college: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'College',
+    required: [true, 'College is required']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required'],
+    index: true
+  },
+  // Top-level comment of the thread (null for top-level comments)
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters'],
+    default: ''
+  },
+  // Users of the same college mentioned in the comment
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // deleted: removed by its author while it had replies;
+  // removed: taken down by a moderator (the text is kept for review, never shown)
+  status: {
+    type: String,
+    enum: ['visible', 'deleted', 'removed'],
+    default: 'visible'
+  },
+  removal: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+      default: ''
+    },
+    at: {
+      type: Date,
+      default: null
+    }
+  },
+  replyCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+commentSchema.index({ file: 1, parent: 1, createdAt: -1 });
+commentSchema.index({ parent: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
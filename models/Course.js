@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { CODE_MAX_LENGTH, normalizeAcademicCode } = require('../utils/academic');
+
+/**
+ * Normalized form of a course name, code or alias used for matching
+ * ("  Dbms " and "DBMS" both become "dbms")
+ */
+const normalizeCourseKey = (value) => String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+
+const courseSchema = new mongoose.Schema({
+  college: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'College',
+    required: [true, 'College is required'],
+    index: true
+  },
+  code: {
+    type: String,
+    required: [true, 'Course code is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'Course code cannot exceed 20 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Course name is required'],
+    trim: true,
+    maxlength: [100, 'Course name cannot exceed 100 characters']
+  },
+  semester: {
+    type: String,
+    trim: true,
+    enum: {
+      values: ['1', '2', '3', '4', '5', '6', '7', '8'],
+      message: 'Semester must be between 1 and 8'
+    },
+    default: undefined
+  },
+  // Stored like the department of users and files so they can be matched
+  department: {
+    type: String,
+    set: value => (value ? normalizeAcademicCode(value) : ''),
+    maxlength: [CODE_MAX_LENGTH, `Department cannot exceed ${CODE_MAX_LENGTH} characters`],
+    default: ''
+  },
+  // Other spellings and abbreviations uploaders use for this course
+  aliases: {
+    type: [{
+      type: String,
+      trim: true,
+      maxlength: [100, 'Alias cannot exceed 100 characters']
+    }],
+    default: []
+  },
+  // Normalized code, name and aliases; uploads are matched against these
+  searchKeys: {
+    type: [String],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+courseSchema.pre('validate', function(next) {
+  this.searchKeys = [...new Set([this.code, this.name, ...this.aliases].filter(Boolean).map(normalizeCourseKey))];
+  next();
+});
+
+courseSchema.index({ college: 1, code: 1 }, { unique: true });
+courseSchema.index({ college: 1, searchKeys: 1 });
+courseSchema.index({ college: 1, semester: 1, name: 1 });
+
+courseSchema.statics.normalizeKey = normalizeCourseKey;
+
+module.exports = mongoose.model('Course', courseSchema);
@@ -1,4 +1,60 @@
 const mongoose = require('mongoose');
+const { isAcademicYear } = require('../utils/academic');
+
+const SCAN_STATUSES = ['pending', 'clean', 'infected', 'error'];
+
+// A stored revision of a file's content; the File's top-level fields mirror the latest one
+const versionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  fileType: {
+    type: String,
+    required: true
+  },
+  fileSize: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  checksum: {
+    type: String,
+    default: null
+  },
+  scanStatus: {
+    type: String,
+    enum: SCAN_STATUSES,
+    default: 'pending'
+  },
+  uploader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  changeNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Change note cannot exceed 500 characters'],
+    default: ''
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
 
 const fileSchema = new mongoose.Schema({
   college: {
@@ -13,6 +69,12 @@ const fileSchema = new mongoose.Schema({
     required: [true, 'Uploader is required'],
     index: true
   },
+  // Denormalized from User.name so it can be part of the text index
+  uploaderName: {
+    type: String,
+    trim: true,
+    default: ''
+  },
   fileName: {
     type: String,
     required: [true, 'File name is required'],
@@ -34,17 +96,59 @@ const fileSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Course name cannot exceed 100 characters']
   },
+  // Catalog entry the course was matched to (null for free-text courses)
+  courseRef: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null
+  },
   description: {
     type: String,
     trim: true,
     maxlength: [1000, 'Description cannot exceed 1000 characters'],
     default: ''
   },
+  // Academic placement (see utils/academic.js); null means shared by all
+  department: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [30, 'Department cannot exceed 30 characters'],
+    default: null
+  },
+  branch: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [30, 'Branch cannot exceed 30 characters'],
+    default: null
+  },
+  regulation: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [30, 'Regulation cannot exceed 30 characters'],
+    default: null
+  },
+  academicYear: {
+    type: String,
+    trim: true,
+    default: null,
+    validate: {
+      validator: v => v === null || isAcademicYear(v),
+      message: props => `${props.value} is not an academic year (e.g. 2024-25)`
+    }
+  },
   fileUrl: {
     type: String,
     required: [true, 'File URL is required'],
     trim: true
   },
+  // Object key in the configured storage driver (see services/storage)
+  storageKey: {
+    type: String,
+    trim: true
+  },
   fileType: {
     type: String,
     required: [true, 'File type is required'],
@@ -59,19 +163,250 @@ const fileSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
     index: true
+  },
+  // SHA-256 of the current content; identical content shares one blob
+  checksum: {
+    type: String,
+    default: null
+  },
+  // Set when a download detects that the stored blob no longer matches checksum
+  integrity: {
+    status: {
+      type: String,
+      enum: ['ok', 'corrupted'],
+      default: 'ok'
+    },
+    checkedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Text extracted from the document content for full-text search
+  extractedText: {
+    type: String,
+    default: '',
+    select: false
+  },
+  pageCount: {
+    type: Number,
+    default: null
+  },
+  extraction: {
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed', 'unsupported'],
+      default: 'pending'
+    },
+    error: {
+      type: String,
+      default: null
+    },
+    extractedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Thumbnail/preview renditions, stored next to the upload (see services/previews.js)
+  preview: {
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed', 'unsupported'],
+      default: 'pending'
+    },
+    thumbnailKey: {
+      type: String,
+      default: null
+    },
+    previewKey: {
+      type: String,
+      default: null
+    },
+    text: {
+      type: String,
+      default: null
+    },
+    error: {
+      type: String,
+      default: null
+    },
+    generatedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Malware scan of the current version (see services/fileScanning.js)
+  scan: {
+    status: {
+      type: String,
+      enum: SCAN_STATUSES,
+      default: 'pending'
+    },
+    threat: {
+      type: String,
+      default: null
+    },
+    error: {
+      type: String,
+      default: null
+    },
+    scannedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Completed downloads (attachment) and views (inline), see services/fileEvents.js
+  downloadCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  viewCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: null
+  },
+  // Reports and moderation (see services/moderation.js); hidden files are only
+  // visible to their uploader and the college's moderators
+  moderation: {
+    hidden: {
+      type: Boolean,
+      default: false
+    },
+    hiddenAt: {
+      type: Date,
+      default: null
+    },
+    // Moderator who hid the file, null when hidden automatically by reports
+    hiddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    hideReason: {
+      type: String,
+      default: null
+    },
+    openReports: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  // Review aggregates, recomputed on every review change (see services/reviews.js)
+  ratings: {
+    average: {
+      type: Number,
+      default: 0
+    },
+    count: {
+      type: Number,
+      default: 0
+    },
+    upvotes: {
+      type: Number,
+      default: 0
+    },
+    reviews: {
+      type: Number,
+      default: 0
+    },
+    // Bayesian average used by sort=top
+    score: {
+      type: Number,
+      default: 0
+    }
+  },
+  currentVersion: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  versions: {
+    type: [versionSchema],
+    default: []
   }
 }, {
   timestamps: true
 });
 
+// Storage key of the blob; files uploaded before storage adapters existed
+// only have fileUrl (/uploads/<key>)
+fileSchema.methods.getStorageKey = function() {
+  return this.storageKey || decodeURIComponent(this.fileUrl.replace(/^\/uploads\//, ''));
+};
+
+// Full version history; files uploaded before versioning have a single implicit version
+fileSchema.methods.getVersions = function() {
+  if (this.versions && this.versions.length > 0) {
+    return this.versions;
+  }
+
+  return [{
+    version: 1,
+    storageKey: this.getStorageKey(),
+    fileName: this.fileName,
+    fileType: this.fileType,
+    fileSize: this.fileSize,
+    checksum: this.checksum,
+    scanStatus: this.scan.status,
+    uploader: this.uploader,
+    changeNote: '',
+    uploadedAt: this.uploadDate
+  }];
+};
+
+// Content blobs referenced by this file (all versions; may be shared with other files)
+fileSchema.methods.getContentStorageKeys = function() {
+  return [...new Set(this.getVersions().map(v => v.storageKey))];
+};
+
+// Preview renditions owned by this file
+fileSchema.methods.getPreviewStorageKeys = function() {
+  return this.preview
+    ? [this.preview.thumbnailKey, this.preview.previewKey].filter(Boolean)
+    : [];
+};
+
+// Files as listed by GET /api/files: without version history and preview
+// text, with uploader and college names; hidden files are left out
+fileSchema.statics.findForListing = function(filter) {
+  return this.find({ ...filter, 'moderation.hidden': { $ne: true } })
+    .select('-versions -preview.text')
+    .populate('uploader', 'name email')
+    .populate('college', 'name');
+};
+
 // Compound indexes for efficient filtering
 fileSchema.index({ college: 1, semester: 1 });
 fileSchema.index({ college: 1, course: 1 });
+fileSchema.index({ college: 1, courseRef: 1 });
+fileSchema.index({ college: 1, department: 1, semester: 1 });
 fileSchema.index({ college: 1, uploader: 1 });
 fileSchema.index({ college: 1, uploadDate: -1 });
+fileSchema.index({ college: 1, fileName: 1 });
+fileSchema.index({ college: 1, fileSize: -1 });
+fileSchema.index({ college: 1, downloadCount: -1, uploadDate: -1 });
+fileSchema.index({ college: 1, viewCount: -1, uploadDate: -1 });
+fileSchema.index({ college: 1, 'ratings.score': -1, 'ratings.upvotes': -1, uploadDate: -1 });
+fileSchema.index({ college: 1, checksum: 1 });
+fileSchema.index({ college: 1, 'versions.checksum': 1 });
+fileSchema.index({ storageKey: 1 });
+fileSchema.index({ 'versions.storageKey': 1 });
+fileSchema.index({ college: 1, 'scan.status': 1 });
+fileSchema.index({ college: 1, 'moderation.hidden': 1 });
 
-// Text index for search functionality
-fileSchema.index({ fileName: 'text', description: 'text' });
+// Text index for search functionality (relevance-ranked with $text)
+fileSchema.index(
+  { fileName: 'text', course: 'text', description: 'text', uploaderName: 'text', extractedText: 'text' },
+  {
+    name: 'file_text_search',
+    weights: { fileName: 10, course: 5, uploaderName: 3, description: 2, extractedText: 1 }
+  }
+);
 
 module.exports = mongoose.model('File', fileSchema);
 
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const FILE_EVENT_TYPES = ['download', 'view'];
+
+// One completed download (attachment) or view (inline) of a file
+const fileEventSchema = new mongoose.Schema({
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: [true, 'File is required']
+  },
+  // File's college, for per-college aggregates
+  college: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'College',
+    required: [true, 'College is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  type: {
+    type: String,
+    enum: FILE_EVENT_TYPES,
+    required: [true, 'Event type is required']
+  },
+  // Version served when an older version was requested, null for the current one
+  version: {
+    type: Number,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+fileEventSchema.index({ file: 1, createdAt: -1 });
+fileEventSchema.index({ college: 1, createdAt: -1 });
+
+fileEventSchema.statics.TYPES = FILE_EVENT_TYPES;
+
+module.exports = mongoose.model('FileEvent', fileEventSchema);
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  // All tokens produced by rotating the same login share a family (= session)
+  family: {
+    type: String,
+    required: [true, 'Token family is required'],
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout_all', 'reuse_detected', 'password_change', 'banned'],
+    default: null
+  },
+  replacedBy: {
+    type: String,
+    default: null
+  },
+  createdByIp: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Expired refresh tokens are removed automatically by MongoDB
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+refreshTokenSchema.index({ family: 1, revokedAt: 1 });
+
+/**
+ * Refresh token lifetime in milliseconds (REFRESH_TOKEN_DAYS, default 30)
+ */
+const getLifetimeMs = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+  return days * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Issue a new refresh token, starting a new family unless one is given
+ * @param {string} userId - User ID
+ * @param {Object} options - { family, ip, userAgent }
+ * @returns {Promise<{ token: string, doc: Object }>} Raw token and stored document
+ */
+refreshTokenSchema.statics.issue = async function(userId, options = {}) {
+  const token = generateRandomToken();
+
+  const doc = await this.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family: options.family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + getLifetimeMs()),
+    createdByIp: options.ip || '',
+    userAgent: options.userAgent || ''
+  });
+
+  return { token, doc };
+};
+
+/**
+ * Exchange a refresh token for a new one in the same family
+ * Presenting an already rotated token revokes the whole family (reuse detection)
+ * @param {string} token - Raw refresh token
+ * @param {Object} options - { ip, userAgent }
+ * @returns {Promise<Object>} { status: 'ok', token, doc } or { status: 'invalid' | 'expired' | 'reused' | 'revoked' }
+ */
+refreshTokenSchema.statics.rotate = async function(token, options = {}) {
+  const current = await this.findOne({ tokenHash: hashToken(token) });
+
+  if (!current) {
+    return { status: 'invalid' };
+  }
+
+  if (current.revokedAt) {
+    if (current.revokedReason === 'rotated') {
+      await this.revokeFamily(current.family, 'reuse_detected');
+      return { status: 'reused' };
+    }
+    return { status: 'revoked' };
+  }
+
+  if (current.expiresAt <= new Date()) {
+    return { status: 'expired' };
+  }
+
+  const next = await this.issue(current.user, {
+    family: current.family,
+    ip: options.ip,
+    userAgent: options.userAgent
+  });
+
+  // Only one concurrent rotation may win; the loser is treated as reuse
+  const rotated = await this.findOneAndUpdate(
+    { _id: current._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'rotated', replacedBy: next.doc.tokenHash }
+  );
+
+  if (!rotated) {
+    await this.revokeFamily(current.family, 'reuse_detected');
+    return { status: 'reused' };
+  }
+
+  return { status: 'ok', token: next.token, doc: next.doc };
+};
+
+/**
+ * Revoke every active token of a family (one session)
+ */
+refreshTokenSchema.statics.revokeFamily = function(family, reason = 'logout') {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+/**
+ * Revoke every active token of a user (all sessions)
+ */
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason = 'logout_all') {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+/**
+ * Check whether a session still has an active (non-revoked) refresh token
+ */
+refreshTokenSchema.statics.isFamilyActive = async function(family) {
+  return !!(await this.exists({ family, revokedAt: null }));
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
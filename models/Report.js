@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const REPORT_REASONS = ['spam', 'offensive', 'copyright', 'inappropriate', 'misleading', 'other'];
+
+// A user's report of a file, resolved by a moderator of the file's college
+const reportSchema = new mongoose.Schema({
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: [true, 'File is required']
+  },
+  // File's college, scoping the moderation queue
+  college: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'College',
+    required: [true, 'College is required']
+  },
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Reporter is required']
+  },
+  reason: {
+    type: String,
+    enum: {
+      values: REPORT_REASONS,
+      message: `Reason must be one of: ${REPORT_REASONS.join(', ')}`
+    },
+    required: [true, 'Reason is required']
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Details cannot exceed 500 characters'],
+    default: ''
+  },
+  // closed: the file was deleted by its uploader, without a moderator decision
+  status: {
+    type: String,
+    enum: ['open', 'dismissed', 'actioned', 'closed'],
+    default: 'open'
+  },
+  resolution: {
+    action: {
+      type: String,
+      default: null
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    note: {
+      type: String,
+      default: null
+    },
+    at: {
+      type: Date,
+      default: null
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// A user reports a file once
+reportSchema.index({ file: 1, reporter: 1 }, { unique: true });
+reportSchema.index({ college: 1, status: 1, createdAt: 1 });
+reportSchema.index({ file: 1, status: 1 });
+
+reportSchema.statics.REASONS = REPORT_REASONS;
+
+module.exports = mongoose.model('Report', reportSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// A user's rating, upvote and/or short review of a file (one per user and file)
+const reviewSchema = new mongoose.Schema({
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: [true, 'File is required']
+  },
+  // Copied from the file so reviews can be scoped without a lookup
+  college: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'College',
+    required: [true, 'College is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true
+  },
+  rating: {
+    type: Number,
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    default: null,
+    validate: {
+      validator: v => v === null || Number.isInteger(v),
+      message: 'Rating must be a whole number'
+    }
+  },
+  upvote: {
+    type: Boolean,
+    default: false
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Review cannot exceed 500 characters'],
+    default: ''
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+reviewSchema.index({ file: 1, user: 1 }, { unique: true });
+reviewSchema.index({ file: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
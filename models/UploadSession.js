@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+// A chunk received for a resumable upload, stored as its own object
+const chunkSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  offset: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, {
+  _id: false
+});
+
+const uploadSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true
+  },
+  college: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'College',
+    required: [true, 'College is required']
+  },
+  fileName: {
+    type: String,
+    required: [true, 'File name is required'],
+    trim: true,
+    maxlength: [255, 'File name cannot exceed 255 characters']
+  },
+  // Type declared by the client; the stored type is detected on completion
+  fileType: {
+    type: String,
+    default: ''
+  },
+  fileSize: {
+    type: Number,
+    required: [true, 'File size is required'],
+    min: [1, 'File size must be positive']
+  },
+  // Bytes received so far (chunks must arrive in order)
+  offset: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  chunks: {
+    type: [chunkSchema],
+    default: []
+  },
+  metadata: {
+    semester: String,
+    course: String,
+    courseRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      default: null
+    },
+    description: String,
+    // Unset academic fields default to the uploader's profile on completion
+    department: String,
+    branch: String,
+    regulation: String,
+    academicYear: String,
+    onDuplicate: String
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completing', 'completed'],
+    default: 'active'
+  },
+  // When completing started; a completion that never finished (e.g. the
+  // server restarted) can be retried or aborted once it is stale
+  completingAt: {
+    type: Date,
+    default: null
+  },
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    default: null
+  },
+  // Extended on every chunk; expired sessions and their chunks are cleaned up
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  }
+}, {
+  timestamps: true
+});
+
+uploadSessionSchema.index({ expiresAt: 1 });
+
+// Completions running longer than this are considered interrupted
+const COMPLETION_TIMEOUT_MS = 30 * 60 * 1000;
+
+/**
+ * Upload session lifetime in milliseconds (UPLOAD_SESSION_HOURS, default 24)
+ */
+uploadSessionSchema.statics.getLifetimeMs = function() {
+  const hours = parseInt(process.env.UPLOAD_SESSION_HOURS) || 24;
+  return hours * 60 * 60 * 1000;
+};
+
+/**
+ * Start of completions still considered running; earlier ones are stale
+ */
+uploadSessionSchema.statics.getCompletionCutoff = function() {
+  return new Date(Date.now() - COMPLETION_TIMEOUT_MS);
+};
+
+/**
+ * Whether a completion is running (and not stale)
+ */
+uploadSessionSchema.methods.isCompleting = function() {
+  return this.status === 'completing' &&
+    !!this.completingAt && this.completingAt > this.constructor.getCompletionCutoff();
+};
+
+/**
+ * Uploads a user may have in progress at once (UPLOAD_MAX_ACTIVE_SESSIONS, default 5)
+ */
+uploadSessionSchema.statics.getMaxActivePerUser = function() {
+  return parseInt(process.env.UPLOAD_MAX_ACTIVE_SESSIONS) || 5;
+};
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { isAcademicYear } = require('../utils/academic');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -32,6 +34,135 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'College',
     required: [true, 'College is required']
+  },
+  // Academic placement (see utils/academic.js); used as the default filter
+  // for GET /api/files
+  department: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [30, 'Department cannot exceed 30 characters'],
+    default: null
+  },
+  branch: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [30, 'Branch cannot exceed 30 characters'],
+    default: null
+  },
+  regulation: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [30, 'Regulation cannot exceed 30 characters'],
+    default: null
+  },
+  academicYear: {
+    type: String,
+    trim: true,
+    default: null,
+    validate: {
+      validator: v => v === null || isAcademicYear(v),
+      message: props => `${props.value} is not an academic year (e.g. 2024-25)`
+    }
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ['student', 'moderator', 'admin'],
+      message: 'Role must be student, moderator or admin'
+    },
+    default: 'student'
+  },
+  isVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  // Brute-force protection
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+  // Incremented to invalidate every access token issued before (log out all devices)
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Moderation (see routes/moderation.js): warnings received for reported
+  // uploads, and a ban (bannedUntil null = permanent) that blocks every request
+  warnings: [{
+    reason: {
+      type: String,
+      required: true,
+      maxlength: 500
+    },
+    file: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'File',
+      default: null
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  ban: {
+    bannedAt: {
+      type: Date,
+      default: null
+    },
+    bannedUntil: {
+      type: Date,
+      default: null
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reason: {
+      type: String,
+      maxlength: 500,
+      default: null
+    }
   }
 }, {
   timestamps: true
@@ -40,6 +171,10 @@ const userSchema = new mongoose.Schema({
 // Index for faster queries
 userSchema.index({ email: 1 });
 userSchema.index({ college: 1 });
+userSchema.index({ college: 1, role: 1 });
+userSchema.index({ college: 1, department: 1 });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -50,16 +185,93 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
     next();
   } catch (error) {
     next(error);
   }
 });
 
+// Failed attempts allowed before the account is locked
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+// First lockout duration; doubles with every further lockout, capped at 24 hours
+const BASE_LOCK_MS = (parseInt(process.env.LOGIN_LOCK_MINUTES) || 15) * 60 * 1000;
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+
+// Whether the account is currently locked out
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// Whether the account is currently banned
+userSchema.virtual('isBanned').get(function() {
+  return !!(this.ban && this.ban.bannedAt && (!this.ban.bannedUntil || this.ban.bannedUntil > Date.now()));
+});
+
+// Record a failed login; locks the account once MAX_LOGIN_ATTEMPTS is reached
+// Counted in the database so parallel attempts cannot get past the lockout
+userSchema.methods.registerFailedLogin = async function() {
+  const fields = 'failedLoginAttempts lockUntil lockoutCount';
+  let state = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, projection: fields }
+  );
+
+  if (state && state.failedLoginAttempts >= MAX_LOGIN_ATTEMPTS) {
+    const lockMs = Math.min(BASE_LOCK_MS * Math.pow(2, state.lockoutCount || 0), MAX_LOCK_MS);
+    // Only the attempt that reaches the limit locks; the others read the lock back
+    state = await this.constructor.findOneAndUpdate(
+      { _id: this._id, failedLoginAttempts: { $gte: MAX_LOGIN_ATTEMPTS } },
+      { $set: { failedLoginAttempts: 0, lockUntil: new Date(Date.now() + lockMs) }, $inc: { lockoutCount: 1 } },
+      { new: true, projection: fields }
+    ) || await this.constructor.findById(this._id, fields);
+  }
+
+  if (state) {
+    this.failedLoginAttempts = state.failedLoginAttempts;
+    this.lockUntil = state.lockUntil;
+    this.lockoutCount = state.lockoutCount;
+  }
+};
+
+// Clear failed attempts and lockout history after a successful login
+userSchema.methods.resetLoginAttempts = async function() {
+  if (!this.failedLoginAttempts && !this.lockUntil && !this.lockoutCount) {
+    return;
+  }
+
+  this.failedLoginAttempts = 0;
+  this.lockUntil = null;
+  this.lockoutCount = 0;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { failedLoginAttempts: 0, lockUntil: null, lockoutCount: 0 }
+  );
+};
+
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Create a one-time email verification token (only its signature is stored)
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = generateRandomToken(32);
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+  return token;
+};
+
+// Create a time-limited password reset token (only its signature is stored)
+userSchema.methods.createPasswordResetToken = function() {
+  const token = generateRandomToken(32);
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+  return token;
+};
+
 module.exports = mongoose.model('User', userSchema);
 
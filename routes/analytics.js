@@ -0,0 +1,111 @@
+const express = require('express');
+const router = express.Router();
+const { validationResult, query } = require('express-validator');
+const College = require('../models/College');
+const { protect, authorize, canModerateCollege } = require('../middleware/auth');
+const { INTERVAL_FORMATS, getCollegeActivity } = require('../services/fileEvents');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest range of a dashboard request
+const MAX_RANGE_DAYS = 730;
+
+// Range shown when no start date is given
+const DEFAULT_RANGE_DAYS = {
+  day: 30,
+  week: 12 * 7,
+  month: 365
+};
+
+/**
+ * @route   GET /api/analytics/college
+ * @desc    Upload, download and view activity of a college over time, bucketed
+ *          by day, ISO week or month (UTC), with totals and idle files
+ * @access  Private (moderator, admin; moderators see only their own college)
+ */
+router.get('/college', protect, authorize('moderator', 'admin'), [
+  query('college')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid college ID'),
+  query('interval')
+    .optional()
+    .isIn(Object.keys(INTERVAL_FORMATS))
+    .withMessage(`interval must be one of: ${Object.keys(INTERVAL_FORMATS).join(', ')}`),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date')
+    .toDate(),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date')
+    .toDate()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const collegeId = req.query.college || req.user.college._id;
+
+    if (!canModerateCollege(req.user, collegeId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You can only view analytics of your own college'
+      });
+    }
+
+    const college = await College.findById(collegeId).select('name');
+    if (!college) {
+      return res.status(404).json({
+        success: false,
+        message: 'College not found'
+      });
+    }
+
+    const interval = req.query.interval || 'day';
+    const to = req.query.to || new Date();
+    const from = req.query.from || new Date(to.getTime() - (DEFAULT_RANGE_DAYS[interval] - 1) * DAY_MS);
+
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must be before to'
+      });
+    }
+    if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+      return res.status(400).json({
+        success: false,
+        message: `The range cannot exceed ${MAX_RANGE_DAYS} days`
+      });
+    }
+
+    const activity = await getCollegeActivity(college._id, { from, to, interval });
+
+    res.json({
+      success: true,
+      data: {
+        college: { _id: college._id, name: college.name },
+        interval,
+        from,
+        to,
+        ...activity
+      }
+    });
+  } catch (error) {
+    console.error('College analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching analytics'
+    });
+  }
+});
+
+module.exports = router;
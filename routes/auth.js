@@ -1,9 +1,70 @@
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, validationResult, param, query } = require('express-validator');
 const User = require('../models/User');
 const College = require('../models/College');
-const { protect, generateToken } = require('../middleware/auth');
+const RefreshToken = require('../models/RefreshToken');
+const File = require('../models/File');
+const { hashToken } = require('../utils/tokens');
+const { rateLimit, emailKey } = require('../middleware/rateLimit');
+const { FILE_TYPE_NAMES, MAX_UPLOAD_SIZE } = require('../services/fileTypes');
+const { getUploadPolicy } = require('../services/uploadPolicy');
+const { ACADEMIC_FIELDS, academicBodyRules } = require('../utils/academic');
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail
+} = require('../services/emails');
+const {
+  protect,
+  authorize,
+  canModerateCollege,
+  accountBanned,
+  issueAuthTokens,
+  revokeAllSessions
+} = require('../middleware/auth');
+
+// Per-IP and per-account limits for credential endpoints
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+const loginIpLimiter = rateLimit({
+  name: 'login-ip',
+  windowMs: FIFTEEN_MINUTES,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_IP) || 50,
+  message: 'Too many login attempts from this IP, please try again later'
+});
+const loginAccountLimiter = rateLimit({
+  name: 'login-account',
+  windowMs: FIFTEEN_MINUTES,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_ACCOUNT) || 10,
+  keyGenerator: emailKey,
+  message: 'Too many login attempts for this account, please try again later'
+});
+const registerIpLimiter = rateLimit({
+  name: 'register-ip',
+  windowMs: 60 * 60 * 1000,
+  max: parseInt(process.env.REGISTER_RATE_LIMIT_IP) || 10,
+  message: 'Too many accounts created from this IP, please try again later'
+});
+const registerAccountLimiter = rateLimit({
+  name: 'register-account',
+  windowMs: 60 * 60 * 1000,
+  max: parseInt(process.env.REGISTER_RATE_LIMIT_ACCOUNT) || 5,
+  keyGenerator: emailKey,
+  message: 'Too many registration attempts for this email, please try again later'
+});
+const emailIpLimiter = rateLimit({
+  name: 'email-ip',
+  windowMs: FIFTEEN_MINUTES,
+  max: 10,
+  message: 'Too many email requests from this IP, please try again later'
+});
+const emailAccountLimiter = rateLimit({
+  name: 'email-account',
+  windowMs: FIFTEEN_MINUTES,
+  max: 3,
+  keyGenerator: emailKey,
+  message: 'Too many email requests for this account, please try again later'
+});
 
 /**
  * @route   GET /api/colleges
@@ -33,7 +94,7 @@ router.get('/colleges', async (req, res) => {
  * @desc    Register a new user
  * @access  Public
  */
-router.post('/register', [
+router.post('/register', registerIpLimiter, registerAccountLimiter, [
   body('name')
     .trim()
     .isLength({ min: 2, max: 100 })
@@ -50,7 +111,8 @@ router.post('/register', [
     .notEmpty()
     .withMessage('College selection is required')
     .isMongoId()
-    .withMessage('Invalid college ID')
+    .withMessage('Invalid college ID'),
+  ...academicBodyRules()
 ], async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -91,26 +153,40 @@ router.post('/register', [
       });
     }
 
-    // Create user
-    const user = await User.create({
+    // Create user (unverified until the emailed link is opened)
+    const user = new User({
       name,
       email,
       password,
       college: collegeId
     });
+    ACADEMIC_FIELDS.forEach((field) => {
+      user[field] = req.body[field] || null;
+    });
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+
+    // A mail failure must not fail registration; the user can request a resend
+    try {
+      await sendVerificationEmail(user, verificationToken);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Start a session (access + refresh token)
+    const tokens = await issueAuthTokens(user, req);
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your account.',
       data: {
         _id: user._id,
         name: user.name,
         email: user.email,
         college: college.name,
-        token
+        role: user.role,
+        isVerified: user.isVerified,
+        ...tokens
       }
     });
   } catch (error) {
@@ -122,12 +198,27 @@ router.post('/register', [
   }
 });
 
+/**
+ * Send a 423 response for a locked account
+ */
+const accountLocked = (res, user) => {
+  const retryAfter = Math.max(1, Math.ceil((user.lockUntil - Date.now()) / 1000));
+  res.setHeader('Retry-After', retryAfter);
+  return res.status(423).json({
+    success: false,
+    code: 'ACCOUNT_LOCKED',
+    message: 'Account temporarily locked due to too many failed login attempts',
+    lockUntil: user.lockUntil,
+    retryAfter
+  });
+};
+
 /**
  * @route   POST /api/login
  * @desc    Authenticate user and get token
  * @access  Public
  */
-router.post('/login', [
+router.post('/login', loginIpLimiter, loginAccountLimiter, [
   body('email')
     .trim()
     .isEmail()
@@ -159,17 +250,32 @@ router.post('/login', [
       });
     }
 
+    // Reject locked accounts before checking the password
+    if (user.isLocked) {
+      return accountLocked(res, user);
+    }
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await user.registerFailedLogin();
+      if (user.isLocked) {
+        return accountLocked(res, user);
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    await user.resetLoginAttempts();
+
+    if (user.isBanned) {
+      return accountBanned(res, user);
+    }
+
+    // Start a session (access + refresh token)
+    const tokens = await issueAuthTokens(user, req);
 
     res.json({
       success: true,
@@ -179,7 +285,9 @@ router.post('/login', [
         name: user.name,
         email: user.email,
         college: user.college.name,
-        token
+        role: user.role,
+        isVerified: user.isVerified,
+        ...tokens
       }
     });
   } catch (error) {
@@ -191,12 +299,363 @@ router.post('/login', [
   }
 });
 
+/**
+ * @route   GET /api/verify-email/:token
+ * @desc    Verify a user's email address with the emailed one-time token
+ * @access  Public
+ */
+router.get('/verify-email/:token', [
+  param('token')
+    .isLength({ min: 20, max: 200 })
+    .withMessage('Invalid verification token')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    // Consume the token atomically so it can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationToken: hashToken(req.params.token),
+        emailVerificationExpires: { $gt: new Date() }
+      },
+      {
+        isVerified: true,
+        emailVerifiedAt: new Date(),
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        code: 'VERIFICATION_TOKEN_INVALID',
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        _id: user._id,
+        email: user.email,
+        isVerified: user.isVerified
+      }
+    });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during email verification'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/verify-email/resend
+ * @desc    Send a new verification email
+ * @access  Public
+ */
+router.post('/verify-email/resend', emailIpLimiter, emailAccountLimiter, [
+  body('email')
+    .trim()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    // Same response whether or not the account exists, to avoid email enumeration
+    if (user && !user.isVerified) {
+      const verificationToken = user.createEmailVerificationToken();
+      await user.save({ validateBeforeSave: false });
+      // A mail failure must not change the response either
+      await sendVerificationEmail(user, verificationToken).catch((mailError) => {
+        console.error('Resend verification email error:', mailError);
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an unverified account exists for this email, a verification link has been sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification email'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/token/refresh
+ * @desc    Rotate a refresh token and get a new access token
+ * @access  Public (refresh token required)
+ */
+router.post('/token/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const result = await RefreshToken.rotate(req.body.refreshToken, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    if (result.status !== 'ok') {
+      const failures = {
+        invalid: ['REFRESH_TOKEN_INVALID', 'Invalid refresh token'],
+        expired: ['REFRESH_TOKEN_EXPIRED', 'Refresh token has expired'],
+        revoked: ['REFRESH_TOKEN_REVOKED', 'Refresh token has been revoked'],
+        reused: ['REFRESH_TOKEN_REUSED', 'Refresh token reuse detected, session revoked']
+      };
+      const [code, message] = failures[result.status];
+
+      return res.status(401).json({
+        success: false,
+        code,
+        message
+      });
+    }
+
+    const user = await User.findById(result.doc.user);
+    if (!user) {
+      await RefreshToken.revokeFamily(result.doc.family);
+      return res.status(401).json({
+        success: false,
+        code: 'REFRESH_TOKEN_INVALID',
+        message: 'User not found'
+      });
+    }
+
+    if (user.isBanned) {
+      await RefreshToken.revokeFamily(result.doc.family);
+      return accountBanned(res, user);
+    }
+
+    const tokens = await issueAuthTokens(user, req, result);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: tokens
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while refreshing token'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/logout
+ * @desc    Log out the current session (revokes its refresh token family)
+ * @access  Private
+ */
+router.post('/logout', protect, async (req, res) => {
+  try {
+    if (req.auth.sessionId) {
+      await RefreshToken.revokeFamily(req.auth.sessionId, 'logout');
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/logout-all
+ * @desc    Log out all devices (revokes every session and access token)
+ * @access  Private
+ */
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user, 'logout_all');
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices'
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/password/forgot
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+router.post('/password/forgot', emailIpLimiter, emailAccountLimiter, [
+  body('email')
+    .trim()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    // Same response whether or not the account exists, to avoid email enumeration
+    if (user) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      try {
+        await sendPasswordResetEmail(user, resetToken);
+      } catch (mailError) {
+        // The unsent token is cleared, but the response stays the same
+        console.error('Password reset email error:', mailError);
+        await User.updateOne(
+          { _id: user._id },
+          { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } }
+        );
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting password reset'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/password/reset
+ * @desc    Set a new password using an emailed reset token
+ * @access  Public
+ */
+router.post('/password/reset', [
+  body('token')
+    .isString()
+    .isLength({ min: 20, max: 200 })
+    .withMessage('Invalid reset token'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const user = await User.findOne({
+      passwordResetToken: hashToken(req.body.token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        code: 'RESET_TOKEN_INVALID',
+        message: 'Password reset link is invalid or has expired'
+      });
+    }
+
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.failedLoginAttempts = 0;
+    user.lockUntil = null;
+    user.lockoutCount = 0;
+    // Opening the emailed link also proves ownership of the inbox
+    if (!user.isVerified) {
+      user.isVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await revokeAllSessions(user, 'password_change');
+
+    try {
+      await sendPasswordChangedEmail(user);
+    } catch (mailError) {
+      console.error('Password changed email error:', mailError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password'
+    });
+  }
+});
+
 /**
  * @route   POST /api/colleges
  * @desc    Add a new college (Admin only)
- * @access  Private
+ * @access  Private (admin)
  */
-router.post('/colleges', [
+router.post('/colleges', protect, authorize('admin'), [
   body('name')
     .trim()
     .isLength({ min: 2, max: 200 })
@@ -259,6 +718,157 @@ router.post('/colleges', [
   }
 });
 
+/**
+ * Configured and effective upload policy of a college
+ */
+const formatUploadPolicy = async (college) => {
+  const policy = college.uploadPolicy || {};
+  return {
+    allowedTypes: policy.allowedTypes && policy.allowedTypes.length ? policy.allowedTypes : null,
+    maxFileSize: policy.maxFileSize || null,
+    effective: await getUploadPolicy(college._id)
+  };
+};
+
+/**
+ * @route   GET /api/colleges/:id/upload-policy
+ * @desc    Get a college's allowed upload types and size limit
+ * @access  Private (members of the college, admins)
+ */
+router.get('/colleges/:id/upload-policy', protect, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid college ID')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    if (req.user.role !== 'admin' && req.user.college._id.toString() !== req.params.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You can only view your own college'
+      });
+    }
+
+    const college = await College.findById(req.params.id).select('name uploadPolicy');
+
+    if (!college) {
+      return res.status(404).json({
+        success: false,
+        message: 'College not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await formatUploadPolicy(college)
+    });
+  } catch (error) {
+    console.error('Get upload policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching upload policy'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/colleges/:id/upload-policy
+ * @desc    Set a college's allowed upload types and size limit
+ *          (null resets a setting to the platform default)
+ * @access  Private (moderators of the college, admins)
+ */
+router.put('/colleges/:id/upload-policy', protect, authorize('moderator', 'admin'), [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid college ID'),
+  body('allowedTypes')
+    .optional({ values: 'null' })
+    .isArray({ min: 1 })
+    .withMessage('allowedTypes must be a non-empty array'),
+  body('allowedTypes.*')
+    .isIn(FILE_TYPE_NAMES)
+    .withMessage(`Allowed types must be among: ${FILE_TYPE_NAMES.join(', ')}`),
+  body('maxFileSize')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: MAX_UPLOAD_SIZE })
+    .withMessage(`maxFileSize must be between 1 and ${MAX_UPLOAD_SIZE} bytes`)
+    .toInt()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    if (!canModerateCollege(req.user, req.params.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You can only manage your own college'
+      });
+    }
+
+    const college = await College.findById(req.params.id).select('name uploadPolicy');
+
+    if (!college) {
+      return res.status(404).json({
+        success: false,
+        message: 'College not found'
+      });
+    }
+
+    if (req.body.allowedTypes !== undefined) {
+      college.set('uploadPolicy.allowedTypes',
+        req.body.allowedTypes ? [...new Set(req.body.allowedTypes)] : undefined);
+    }
+    if (req.body.maxFileSize !== undefined) {
+      college.set('uploadPolicy.maxFileSize', req.body.maxFileSize || undefined);
+    }
+    await college.save();
+
+    res.json({
+      success: true,
+      message: 'Upload policy updated successfully',
+      data: await formatUploadPolicy(college)
+    });
+  } catch (error) {
+    console.error('Update upload policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating upload policy'
+    });
+  }
+});
+
+/**
+ * Profile of a user as returned by /api/user/me
+ */
+const formatProfile = (user) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  college: user.college,
+  role: user.role,
+  department: user.department,
+  branch: user.branch,
+  regulation: user.regulation,
+  academicYear: user.academicYear,
+  isVerified: user.isVerified,
+  warnings: (user.warnings || []).map(({ reason, file, at }) => ({ reason, file, at })),
+  createdAt: user.createdAt
+});
+
 /**
  * @route   GET /api/user/me
  * @desc    Get current user's profile
@@ -268,13 +878,7 @@ router.get('/user/me', protect, async (req, res) => {
   try {
     res.json({
       success: true,
-      data: {
-        _id: req.user._id,
-        name: req.user.name,
-        email: req.user.email,
-        college: req.user.college,
-        createdAt: req.user.createdAt
-      }
+      data: formatProfile(req.user)
     });
   } catch (error) {
     console.error('Get user profile error:', error);
@@ -285,5 +889,268 @@ router.get('/user/me', protect, async (req, res) => {
   }
 });
 
+/**
+ * @route   PUT /api/user/profile
+ * @desc    Update the current user's name and academic details (department,
+ *          branch and regulation are the default filters of GET /api/files)
+ * @access  Private
+ */
+router.put('/user/profile', protect, [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  ...academicBodyRules()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const user = req.user;
+
+    if (req.body.name !== undefined) {
+      user.name = req.body.name;
+    }
+    ACADEMIC_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        user[field] = req.body[field] || null;
+      }
+    });
+
+    const renamed = user.isModified('name');
+    await user.save();
+
+    // Keep the uploader name denormalized on files (full-text search) in sync
+    if (renamed) {
+      await File.updateMany({ uploader: user._id }, { $set: { uploaderName: user.name } });
+    }
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: formatProfile(user)
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating profile'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/user/password
+ * @desc    Change password (requires the current password)
+ * @access  Private
+ *
+ * All existing sessions are revoked; the response carries fresh tokens so
+ * the current device stays logged in.
+ */
+router.put('/user/password', protect, [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current password'
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    await revokeAllSessions(user, 'password_change');
+    const tokens = await issueAuthTokens(user, req);
+
+    try {
+      await sendPasswordChangedEmail(user);
+    } catch (mailError) {
+      console.error('Password changed email error:', mailError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully. Other devices have been logged out.',
+      data: tokens
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing password'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/users
+ * @desc    List users (moderators see only their own college)
+ * @access  Private (moderator, admin)
+ */
+router.get('/users', protect, authorize('moderator', 'admin'), [
+  query('college')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid college ID'),
+  query('role')
+    .optional()
+    .isIn(['student', 'moderator', 'admin'])
+    .withMessage('Invalid role value')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    // Moderators are always scoped to their own college
+    const collegeId = req.user.role === 'admin'
+      ? req.query.college
+      : req.user.college._id;
+
+    const filter = {};
+    if (collegeId) {
+      filter.college = collegeId;
+    }
+    if (req.query.role) {
+      filter.role = req.query.role;
+    }
+
+    const users = await User.find(filter, 'name email role department college warnings ban createdAt')
+      .populate('college', 'name')
+      .sort({ name: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: users.length,
+      data: users
+    });
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching users'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/users/:id/role
+ * @desc    Change a user's role
+ * @access  Private (moderator, admin)
+ *
+ * Moderators may only promote/demote students and moderators of their own
+ * college; granting or revoking the admin role is reserved to admins.
+ */
+router.put('/users/:id/role', protect, authorize('moderator', 'admin'), [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  body('role')
+    .isIn(['student', 'moderator', 'admin'])
+    .withMessage('Role must be student, moderator or admin')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!canModerateCollege(req.user, user.college)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You can only manage users from your college'
+      });
+    }
+
+    if (req.user.role !== 'admin' && (req.body.role === 'admin' || user.role === 'admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Only admins can grant or revoke the admin role'
+      });
+    }
+
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    user.role = req.body.role;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      data: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating user role'
+    });
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,166 @@
+const express = require('express');
+const router = express.Router();
+const { validationResult, param, query } = require('express-validator');
+const Bookmark = require('../models/Bookmark');
+const File = require('../models/File');
+const { protect } = require('../middleware/auth');
+const { loadAccessibleFile } = require('../middleware/fileAccess');
+
+const fileIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid file ID')
+];
+
+/**
+ * @route   GET /api/bookmarks
+ * @desc    List the user's bookmarked files (most recently bookmarked first),
+ *          populated as in GET /api/files
+ * @access  Private
+ */
+router.get('/', protect, [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100')
+    .toInt()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const limit = req.query.limit || 20;
+    const page = req.query.page || 1;
+    // CRITICAL: Only files from user's college; deleted and hidden files are
+    // left out of the page and of the total alike
+    const [result] = await Bookmark.aggregate([
+      { $match: { user: req.user._id } },
+      {
+        $lookup: {
+          from: File.collection.name,
+          let: { fileId: '$file' },
+          pipeline: [
+            {
+              $match: {
+                college: req.user.college._id,
+                'moderation.hidden': { $ne: true },
+                $expr: { $eq: ['$_id', '$$fileId'] }
+              }
+            },
+            { $project: { _id: 1 } }
+          ],
+          as: 'listed'
+        }
+      },
+      { $match: { 'listed.0': { $exists: true } } },
+      { $sort: { createdAt: -1, _id: -1 } },
+      {
+        $facet: {
+          items: [{ $skip: (page - 1) * limit }, { $limit: limit }, { $project: { file: 1, createdAt: 1 } }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+    const bookmarks = result.items;
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    const files = await File.findForListing({
+      _id: { $in: bookmarks.map(bookmark => bookmark.file) },
+      college: req.user.college._id // CRITICAL: Only files from user's college
+    }).lean();
+    const filesById = new Map(files.map(file => [file._id.toString(), file]));
+
+    const data = bookmarks
+      .filter(bookmark => filesById.has(bookmark.file.toString()))
+      .map(bookmark => ({ ...filesById.get(bookmark.file.toString()), bookmarkedAt: bookmark.createdAt }));
+
+    res.json({
+      success: true,
+      count: data.length,
+      pagination: {
+        total,
+        limit,
+        page,
+        totalPages: Math.ceil(total / limit)
+      },
+      data
+    });
+  } catch (error) {
+    console.error('List bookmarks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching bookmarks'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/bookmarks/:id
+ * @desc    Bookmark a file (id is the file ID; bookmarking twice is a no-op)
+ * @access  Private
+ */
+router.put('/:id', protect, fileIdValidation, loadAccessibleFile, async (req, res) => {
+  try {
+    const result = await Bookmark.updateOne(
+      { user: req.user._id, file: req.targetFile._id },
+      { $setOnInsert: { user: req.user._id, file: req.targetFile._id } },
+      { upsert: true }
+    );
+
+    const created = result.upsertedCount > 0;
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'File bookmarked' : 'File already bookmarked',
+      data: { file: req.targetFile._id, bookmarked: true }
+    });
+  } catch (error) {
+    console.error('Add bookmark error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while bookmarking file'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/bookmarks/:id
+ * @desc    Remove a bookmark (id is the file ID)
+ * @access  Private
+ */
+router.delete('/:id', protect, fileIdValidation, loadAccessibleFile, async (req, res) => {
+  try {
+    const { deletedCount } = await Bookmark.deleteOne({ user: req.user._id, file: req.targetFile._id });
+
+    if (deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'File is not bookmarked'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Bookmark removed',
+      data: { file: req.targetFile._id, bookmarked: false }
+    });
+  } catch (error) {
+    console.error('Remove bookmark error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing bookmark'
+    });
+  }
+});
+
+module.exports = router;
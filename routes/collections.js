@@ -0,0 +1,444 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, param, query } = require('express-validator');
+const Collection = require('../models/Collection');
+const File = require('../models/File');
+const { protect } = require('../middleware/auth');
+const { isHiddenFrom } = require('../services/moderation');
+
+/**
+ * Personal collections of files (mounted at /api/collections)
+ *
+ * A collection belongs to its owner, who alone may change it. With
+ * visibility "college" it can be read by every member of the owner's college.
+ */
+
+const collectionIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid collection ID')
+];
+
+const collectionFileValidation = [
+  ...collectionIdValidation,
+  param('fileId')
+    .isMongoId()
+    .withMessage('Invalid file ID')
+];
+
+const collectionFieldsValidation = [
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Collection name must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('visibility')
+    .optional()
+    .isIn(['private', 'college'])
+    .withMessage('Visibility must be private or college')
+];
+
+/**
+ * Summary of a collection (without its files)
+ */
+const formatCollection = (collection) => ({
+  _id: collection._id,
+  name: collection.name,
+  description: collection.description,
+  visibility: collection.visibility,
+  owner: collection.owner,
+  fileCount: collection.files.length,
+  createdAt: collection.createdAt,
+  updatedAt: collection.updatedAt
+});
+
+const isOwner = (user, collection) => {
+  const ownerId = collection.owner && collection.owner._id ? collection.owner._id : collection.owner;
+  return ownerId.toString() === user._id.toString();
+};
+
+const duplicateName = (res) => {
+  return res.status(409).json({
+    success: false,
+    code: 'DUPLICATE_COLLECTION',
+    message: 'You already have a collection with this name'
+  });
+};
+
+/**
+ * Load the collection from req.params.id
+ * Readable by its owner, and by members of its college when shared;
+ * with { owner: true } only by its owner
+ * Sets req.collection
+ */
+const loadCollection = ({ owner = false } = {}) => async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const collection = await Collection.findById(req.params.id);
+
+    // Collections the user may not see are reported as missing
+    const visible = collection && (
+      isOwner(req.user, collection) ||
+      (collection.visibility === 'college' && collection.college.toString() === req.user.college._id.toString())
+    );
+    if (!visible) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    if (owner && !isOwner(req.user, collection)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Only the owner can change this collection'
+      });
+    }
+
+    req.collection = collection;
+    next();
+  } catch (error) {
+    console.error('Load collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching collection'
+    });
+  }
+};
+
+/**
+ * @route   GET /api/collections
+ * @desc    List the user's collections, or with scope=shared the collections
+ *          other members of the college have shared
+ * @access  Private
+ */
+router.get('/', protect, [
+  query('scope')
+    .optional()
+    .isIn(['mine', 'shared'])
+    .withMessage('scope must be mine or shared')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const filter = req.query.scope === 'shared'
+      ? { college: req.user.college._id, visibility: 'college', owner: { $ne: req.user._id } }
+      : { owner: req.user._id };
+
+    const collections = await Collection.find(filter)
+      .populate('owner', 'name')
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: collections.length,
+      data: collections.map(formatCollection)
+    });
+  } catch (error) {
+    console.error('List collections error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching collections'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/collections
+ * @desc    Create a collection
+ * @access  Private
+ */
+router.post('/', protect, [
+  body('name')
+    .exists({ values: 'falsy' })
+    .withMessage('Collection name is required'),
+  ...collectionFieldsValidation
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const collection = await Collection.create({
+      owner: req.user._id,
+      college: req.user.college._id,
+      name: req.body.name,
+      description: req.body.description || '',
+      visibility: req.body.visibility || 'private'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection created successfully',
+      data: formatCollection(collection)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return duplicateName(res);
+    }
+    console.error('Create collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating collection'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/collections/:id
+ * @desc    Get a collection with its files (most recently added first),
+ *          populated as in GET /api/files
+ * @access  Private (owner; members of the college when shared)
+ */
+router.get('/:id', protect, [
+  ...collectionIdValidation,
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100')
+    .toInt()
+], loadCollection(), async (req, res) => {
+  try {
+    const collection = req.collection;
+    const limit = req.query.limit || 20;
+    const page = req.query.page || 1;
+
+    // CRITICAL: Only files from user's college; deleted and hidden files are
+    // left out of the page and of the total alike
+    const listedIds = await File.find({
+      _id: { $in: collection.files.map(item => item.file) },
+      college: req.user.college._id,
+      'moderation.hidden': { $ne: true }
+    }).distinct('_id');
+    const listed = new Set(listedIds.map(id => id.toString()));
+    const listedItems = collection.files.filter(item => listed.has(item.file.toString()));
+    const total = listedItems.length;
+
+    const items = listedItems
+      .sort((a, b) => b.addedAt - a.addedAt)
+      .slice((page - 1) * limit, page * limit);
+
+    const files = await File.findForListing({
+      _id: { $in: items.map(item => item.file) },
+      college: req.user.college._id // CRITICAL: Only files from user's college
+    }).lean();
+    const filesById = new Map(files.map(file => [file._id.toString(), file]));
+
+    await collection.populate('owner', 'name');
+
+    res.json({
+      success: true,
+      data: {
+        ...formatCollection(collection),
+        fileCount: total,
+        files: items
+          .filter(item => filesById.has(item.file.toString()))
+          .map(item => ({ ...filesById.get(item.file.toString()), addedAt: item.addedAt }))
+      },
+      pagination: {
+        total,
+        limit,
+        page,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching collection'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/collections/:id
+ * @desc    Rename a collection, change its description or share it
+ *          (visibility college) with the owner's college
+ * @access  Private (owner)
+ */
+router.put('/:id', protect, [
+  ...collectionIdValidation,
+  ...collectionFieldsValidation
+], loadCollection({ owner: true }), async (req, res) => {
+  try {
+    const collection = req.collection;
+
+    ['name', 'description', 'visibility'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        collection[field] = req.body[field];
+      }
+    });
+    await collection.save();
+
+    res.json({
+      success: true,
+      message: 'Collection updated successfully',
+      data: formatCollection(collection)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return duplicateName(res);
+    }
+    console.error('Update collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating collection'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/collections/:id
+ * @desc    Delete a collection (its files are not affected)
+ * @access  Private (owner)
+ */
+router.delete('/:id', protect, collectionIdValidation, loadCollection({ owner: true }), async (req, res) => {
+  try {
+    await Collection.deleteOne({ _id: req.collection._id });
+
+    res.json({
+      success: true,
+      message: 'Collection deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting collection'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/collections/:id/files/:fileId
+ * @desc    Add a file of the user's college to a collection (adding it twice is a no-op)
+ * @access  Private (owner)
+ */
+router.put('/:id/files/:fileId', protect, collectionFileValidation, loadCollection({ owner: true }), async (req, res) => {
+  try {
+    const file = await File.findById(req.params.fileId).select('college uploader moderation');
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    // CRITICAL: Verify user has access to this file (same college)
+    if (file.college.toString() !== req.user.college._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You can only access files from your college'
+      });
+    }
+
+    // Hidden files are reported as missing to everyone but their uploader and moderators
+    if (isHiddenFrom(req.user, file)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    // Atomic add: skipped when already present or when the collection is full
+    const result = await Collection.updateOne(
+      {
+        _id: req.collection._id,
+        'files.file': { $ne: file._id },
+        [`files.${Collection.MAX_FILES - 1}`]: { $exists: false }
+      },
+      { $push: { files: { file: file._id, addedAt: new Date() } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      const alreadyAdded = await Collection.exists({ _id: req.collection._id, 'files.file': file._id });
+      if (!alreadyAdded) {
+        return res.status(400).json({
+          success: false,
+          code: 'COLLECTION_FULL',
+          message: `A collection cannot hold more than ${Collection.MAX_FILES} files`
+        });
+      }
+    }
+
+    res.status(result.modifiedCount > 0 ? 201 : 200).json({
+      success: true,
+      message: result.modifiedCount > 0 ? 'File added to collection' : 'File already in collection'
+    });
+  } catch (error) {
+    console.error('Add collection file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding file to collection'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/collections/:id/files/:fileId
+ * @desc    Remove a file from a collection
+ * @access  Private (owner)
+ */
+router.delete('/:id/files/:fileId', protect, collectionFileValidation, loadCollection({ owner: true }), async (req, res) => {
+  try {
+    const result = await Collection.updateOne(
+      { _id: req.collection._id },
+      { $pull: { files: { file: req.params.fileId } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'File is not in this collection'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'File removed from collection'
+    });
+  } catch (error) {
+    console.error('Remove collection file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing file from collection'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,503 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, param, query } = require('express-validator');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const { protect, requireVerified, canModerateCollege } = require('../middleware/auth');
+const { loadAccessibleFile } = require('../middleware/fileAccess');
+const { escapeRegex } = require('../utils/search');
+const { sendMentionEmail } = require('../services/emails');
+
+/**
+ * Discussion of a file (mounted at /api/files/:id/comments)
+ *
+ * Top-level comments are listed page by page; the replies of each are
+ * fetched from /:commentId/replies. Authors edit and delete their own
+ * comments, moderators of the college remove any.
+ */
+
+const MAX_MENTIONS = 10;
+
+const fileIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid file ID')
+];
+
+const commentIdValidation = [
+  ...fileIdValidation,
+  param('commentId')
+    .isMongoId()
+    .withMessage('Invalid comment ID')
+];
+
+const paginationValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100')
+    .toInt()
+];
+
+const mentionsValidation = [
+  body('mentions')
+    .optional()
+    .isArray({ max: MAX_MENTIONS })
+    .withMessage(`mentions must be an array of at most ${MAX_MENTIONS} user IDs`),
+  body('mentions.*')
+    .isMongoId()
+    .withMessage('Invalid user ID in mentions')
+];
+
+/**
+ * Public representation of a comment (deleted and removed comments keep
+ * their place in the thread but show nothing)
+ */
+const formatComment = (comment) => {
+  const hidden = comment.status !== 'visible';
+  return {
+    _id: comment._id,
+    file: comment.file,
+    parent: comment.parent,
+    replyTo: comment.replyTo,
+    author: hidden ? null : comment.author,
+    text: hidden ? '' : comment.text,
+    mentions: hidden ? [] : comment.mentions,
+    status: comment.status,
+    replyCount: comment.replyCount,
+    createdAt: comment.createdAt,
+    editedAt: comment.editedAt
+  };
+};
+
+/**
+ * Populate author and mentions of a comment query or document
+ */
+const populateComment = (queryOrDoc) => {
+  return queryOrDoc.populate([
+    { path: 'author', select: 'name' },
+    { path: 'mentions', select: 'name' }
+  ]);
+};
+
+/**
+ * Load the mentioned users; they must belong to the file's college
+ * @returns {Promise<Object[]|null>} Users, or null if any is not in the college
+ */
+const loadMentionedUsers = async (ids, collegeId) => {
+  const uniqueIds = [...new Set((ids || []).map(String))];
+  const users = await User.find({ _id: { $in: uniqueIds }, college: collegeId }, 'name email');
+  return users.length === uniqueIds.length ? users : null;
+};
+
+const invalidMentions = (res) => {
+  return res.status(400).json({
+    success: false,
+    code: 'INVALID_MENTION',
+    message: 'You can only mention users of your college'
+  });
+};
+
+/**
+ * Email newly mentioned users (failures are logged, never thrown)
+ */
+const notifyMentions = async (users, author, file, comment) => {
+  for (const user of users) {
+    if (user._id.toString() === author._id.toString()) {
+      continue;
+    }
+    try {
+      await sendMentionEmail(user, author, file, comment);
+    } catch (error) {
+      console.error('Mention email error:', error.message);
+    }
+  }
+};
+
+/**
+ * Load the comment from req.params.commentId (must belong to req.targetFile)
+ * Sets req.comment
+ */
+const loadComment = async (req, res, next) => {
+  try {
+    const comment = await Comment.findOne({ _id: req.params.commentId, file: req.targetFile._id });
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    req.comment = comment;
+    next();
+  } catch (error) {
+    console.error('Load comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching comment'
+    });
+  }
+};
+
+/**
+ * Page of comments matching a filter
+ */
+const listComments = async (filter, sort, { page = 1, limit = 20 }) => {
+  const [comments, total] = await Promise.all([
+    populateComment(Comment.find(filter))
+      .sort(sort)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Comment.countDocuments(filter)
+  ]);
+
+  return {
+    count: comments.length,
+    pagination: {
+      total,
+      limit,
+      page,
+      totalPages: Math.ceil(total / limit)
+    },
+    data: comments.map(formatComment)
+  };
+};
+
+/**
+ * @route   GET /api/files/:id/comments
+ * @desc    List the top-level comments of a file (sort=newest|oldest)
+ * @access  Private
+ */
+router.get('/', protect, [
+  ...fileIdValidation,
+  ...paginationValidation,
+  query('sort')
+    .optional()
+    .isIn(['newest', 'oldest'])
+    .withMessage('sort must be newest or oldest')
+], loadAccessibleFile, async (req, res) => {
+  try {
+    const direction = req.query.sort === 'oldest' ? 1 : -1;
+    const result = await listComments(
+      { file: req.targetFile._id, parent: null },
+      { createdAt: direction, _id: direction },
+      req.query
+    );
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('List comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching comments'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/files/:id/comments/mentionable
+ * @desc    Users of the file's college whose name starts with q (for mentions)
+ * @access  Private
+ */
+router.get('/mentionable', protect, [
+  ...fileIdValidation,
+  query('q')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('q must be between 1 and 100 characters')
+], loadAccessibleFile, async (req, res) => {
+  try {
+    const users = await User.find({
+      college: req.targetFile.college,
+      name: new RegExp(`(?:^|\\s)${escapeRegex(req.query.q)}`, 'i')
+    }, 'name')
+      .sort({ name: 1 })
+      .limit(10)
+      .lean();
+
+    res.json({
+      success: true,
+      count: users.length,
+      data: users
+    });
+  } catch (error) {
+    console.error('Mentionable users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching users'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/files/:id/comments
+ * @desc    Comment on a file, or reply to a comment (parent)
+ * @access  Private
+ */
+router.post('/', protect, requireVerified, [
+  ...fileIdValidation,
+  body('text')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Comment must be between 1 and 2000 characters'),
+  body('parent')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parent comment ID'),
+  ...mentionsValidation
+], loadAccessibleFile, async (req, res) => {
+  try {
+    const file = req.targetFile;
+    let parent = null;
+    let replyTo = null;
+
+    if (req.body.parent) {
+      replyTo = await Comment.findOne({ _id: req.body.parent, file: file._id });
+
+      if (!replyTo) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent comment not found'
+        });
+      }
+      if (replyTo.status !== 'visible') {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot reply to a deleted comment'
+        });
+      }
+
+      // Replies to replies join the thread of the top-level comment
+      parent = replyTo.parent || replyTo._id;
+    }
+
+    const mentioned = await loadMentionedUsers(req.body.mentions, file.college);
+    if (!mentioned) {
+      return invalidMentions(res);
+    }
+
+    const comment = await Comment.create({
+      file: file._id,
+      college: file.college,
+      author: req.user._id,
+      parent,
+      replyTo: replyTo ? replyTo._id : null,
+      text: req.body.text,
+      mentions: mentioned.map(user => user._id)
+    });
+
+    if (parent) {
+      await Comment.updateOne({ _id: parent }, { $inc: { replyCount: 1 } });
+    }
+
+    // Mention emails are sent in the background
+    notifyMentions(mentioned, req.user, file, comment);
+
+    await populateComment(comment);
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: formatComment(comment)
+    });
+  } catch (error) {
+    console.error('Add comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding comment'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/files/:id/comments/:commentId
+ * @desc    Get a single comment
+ * @access  Private
+ */
+router.get('/:commentId', protect, commentIdValidation, loadAccessibleFile, loadComment, async (req, res) => {
+  try {
+    await populateComment(req.comment);
+
+    res.json({
+      success: true,
+      data: formatComment(req.comment)
+    });
+  } catch (error) {
+    console.error('Get comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching comment'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/files/:id/comments/:commentId/replies
+ * @desc    List the replies of a top-level comment (oldest first)
+ * @access  Private
+ */
+router.get('/:commentId/replies', protect, [
+  ...commentIdValidation,
+  ...paginationValidation
+], loadAccessibleFile, loadComment, async (req, res) => {
+  try {
+    const result = await listComments(
+      { parent: req.comment._id },
+      { createdAt: 1, _id: 1 },
+      req.query
+    );
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('List replies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching replies'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/files/:id/comments/:commentId
+ * @desc    Edit a comment (author only)
+ * @access  Private
+ */
+router.put('/:commentId', protect, requireVerified, [
+  ...commentIdValidation,
+  body('text')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Comment must be between 1 and 2000 characters'),
+  ...mentionsValidation
+], loadAccessibleFile, loadComment, async (req, res) => {
+  try {
+    const comment = req.comment;
+
+    if (comment.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Only the author can edit this comment'
+      });
+    }
+
+    if (comment.status !== 'visible') {
+      return res.status(400).json({
+        success: false,
+        message: 'Deleted comments cannot be edited'
+      });
+    }
+
+    let newlyMentioned = [];
+    if (req.body.mentions !== undefined) {
+      const mentioned = await loadMentionedUsers(req.body.mentions, comment.college);
+      if (!mentioned) {
+        return invalidMentions(res);
+      }
+      const previous = comment.mentions.map(String);
+      newlyMentioned = mentioned.filter(user => !previous.includes(user._id.toString()));
+      comment.mentions = mentioned.map(user => user._id);
+    }
+
+    comment.text = req.body.text;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    notifyMentions(newlyMentioned, req.user, req.targetFile, comment);
+
+    await populateComment(comment);
+
+    res.json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: formatComment(comment)
+    });
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating comment'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/files/:id/comments/:commentId
+ * @desc    Delete a comment (author), or remove it (college moderators and
+ *          admins, optional reason)
+ * @access  Private
+ *
+ * A top-level comment with replies stays in place, without its content, so
+ * the thread remains readable.
+ */
+router.delete('/:commentId', protect, [
+  ...commentIdValidation,
+  body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], loadAccessibleFile, loadComment, async (req, res) => {
+  try {
+    const comment = req.comment;
+    const isAuthor = comment.author.toString() === req.user._id.toString();
+
+    if (!isAuthor && !canModerateCollege(req.user, comment.college)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Only the author or a moderator can delete this comment'
+      });
+    }
+
+    if (comment.status !== 'visible') {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (!isAuthor) {
+      comment.status = 'removed';
+      comment.removal = { by: req.user._id, reason: req.body.reason || '', at: new Date() };
+      await comment.save();
+    } else if (comment.replyCount > 0) {
+      comment.status = 'deleted';
+      comment.text = '';
+      comment.mentions = [];
+      await comment.save();
+    } else {
+      await Comment.deleteOne({ _id: comment._id });
+      if (comment.parent) {
+        await Comment.updateOne({ _id: comment.parent }, { $inc: { replyCount: -1 } });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: isAuthor ? 'Comment deleted successfully' : 'Comment removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting comment'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,353 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, param, query } = require('express-validator');
+const Course = require('../models/Course');
+const File = require('../models/File');
+const { protect, authorize, canModerateCollege } = require('../middleware/auth');
+const { escapeRegex } = require('../utils/search');
+const { CODE_MAX_LENGTH, normalizeAcademicCode } = require('../utils/academic');
+const { findConflictingCourses } = require('../services/courseCatalog');
+
+const SEMESTERS = ['1', '2', '3', '4', '5', '6', '7', '8'];
+
+/**
+ * Validation shared by create and update (required fields are checked by
+ * the create route)
+ */
+const courseValidation = [
+  body('code')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Course code must be between 1 and 20 characters'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Course name must be between 1 and 100 characters'),
+  body('semester')
+    .optional({ values: 'null' })
+    .isIn(SEMESTERS)
+    .withMessage('Semester must be between 1 and 8'),
+  body('department')
+    .optional()
+    .trim()
+    .isLength({ max: CODE_MAX_LENGTH })
+    .withMessage(`Department cannot exceed ${CODE_MAX_LENGTH} characters`),
+  body('aliases')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('aliases must be an array of at most 20 names'),
+  body('aliases.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each alias must be between 1 and 100 characters')
+];
+
+/**
+ * Public representation of a catalog entry
+ */
+const formatCourse = (course) => ({
+  _id: course._id,
+  college: course.college,
+  code: course.code,
+  name: course.name,
+  semester: course.semester || null,
+  department: course.department,
+  aliases: course.aliases,
+  createdAt: course.createdAt,
+  updatedAt: course.updatedAt
+});
+
+/**
+ * Save a catalog entry unless its code, name or aliases clash with another
+ * entry of the college
+ * @returns {Promise<Object[]>} Conflicting entries (nothing saved when non-empty)
+ */
+const saveCourse = async (course) => {
+  const conflicts = await findConflictingCourses(course);
+  if (conflicts.length === 0) {
+    await course.save();
+  }
+  return conflicts;
+};
+
+const conflictResponse = (res, conflicts) => {
+  return res.status(409).json({
+    success: false,
+    code: 'COURSE_CONFLICT',
+    message: 'Another course of this college already uses this code, name or alias',
+    conflicts
+  });
+};
+
+/**
+ * @route   GET /api/courses
+ * @desc    List the course catalog of the user's college (admins may pass college)
+ * @access  Private
+ */
+router.get('/', protect, [
+  query('college')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid college ID'),
+  query('semester')
+    .optional()
+    .isIn(SEMESTERS)
+    .withMessage('Invalid semester value'),
+  query('department')
+    .optional()
+    .trim(),
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('q cannot exceed 100 characters')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const filter = {
+      college: req.user.role === 'admin' && req.query.college
+        ? req.query.college
+        : req.user.college._id
+    };
+
+    if (req.query.semester) {
+      filter.semester = req.query.semester;
+    }
+    if (req.query.department) {
+      filter.department = normalizeAcademicCode(req.query.department);
+    }
+    if (req.query.q) {
+      // Prefix of any word of the code, name or an alias
+      filter.searchKeys = new RegExp(`(?:^|\\s)${escapeRegex(Course.normalizeKey(req.query.q))}`);
+    }
+
+    const courses = await Course.find(filter)
+      .sort({ semester: 1, name: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: courses.length,
+      data: courses.map(formatCourse)
+    });
+  } catch (error) {
+    console.error('List courses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching courses'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/courses
+ * @desc    Add a course to a college's catalog (moderators: their own college;
+ *          admins may pass college)
+ * @access  Private (moderator, admin)
+ */
+router.post('/', protect, authorize('moderator', 'admin'), [
+  body('college')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid college ID'),
+  body('code')
+    .exists({ values: 'falsy' })
+    .withMessage('Course code is required'),
+  body('name')
+    .exists({ values: 'falsy' })
+    .withMessage('Course name is required'),
+  ...courseValidation
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const collegeId = req.body.college || req.user.college._id;
+
+    if (!canModerateCollege(req.user, collegeId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You can only manage your own college'
+      });
+    }
+
+    const course = new Course({
+      college: collegeId,
+      code: req.body.code,
+      name: req.body.name,
+      semester: req.body.semester || undefined,
+      department: req.body.department || '',
+      aliases: req.body.aliases || []
+    });
+
+    const conflicts = await saveCourse(course);
+    if (conflicts.length > 0) {
+      return conflictResponse(res, conflicts);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Course added successfully',
+      data: formatCourse(course)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return conflictResponse(res, []);
+    }
+    console.error('Add course error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding course'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/courses/:id
+ * @desc    Update a catalog entry (renaming updates the course of its files;
+ *          semester null clears it)
+ * @access  Private (moderators of the college, admins)
+ */
+router.put('/:id', protect, authorize('moderator', 'admin'), [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid course ID'),
+  ...courseValidation
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const course = await Course.findById(req.params.id);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    if (!canModerateCollege(req.user, course.college)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You can only manage your own college'
+      });
+    }
+
+    ['code', 'name', 'department', 'aliases'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        course[field] = req.body[field];
+      }
+    });
+    if (req.body.semester !== undefined) {
+      course.semester = req.body.semester || undefined;
+    }
+
+    const renamed = course.isModified('name');
+    const conflicts = await saveCourse(course);
+    if (conflicts.length > 0) {
+      return conflictResponse(res, conflicts);
+    }
+
+    // Files store the canonical name for display and full-text search
+    if (renamed) {
+      await File.updateMany({ courseRef: course._id }, { $set: { course: course.name } });
+    }
+
+    res.json({
+      success: true,
+      message: 'Course updated successfully',
+      data: formatCourse(course)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return conflictResponse(res, []);
+    }
+    console.error('Update course error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating course'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/courses/:id
+ * @desc    Remove a catalog entry (its files keep their course name)
+ * @access  Private (moderators of the college, admins)
+ */
+router.delete('/:id', protect, authorize('moderator', 'admin'), [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid course ID')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const course = await Course.findById(req.params.id);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    if (!canModerateCollege(req.user, course.college)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You can only manage your own college'
+      });
+    }
+
+    await Course.deleteOne({ _id: course._id });
+    const { modifiedCount } = await File.updateMany(
+      { courseRef: course._id },
+      { $set: { courseRef: null } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Course deleted successfully',
+      data: { filesUnlinked: modifiedCount }
+    });
+  } catch (error) {
+    console.error('Delete course error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting course'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,85 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult, param, query } = require('express-validator');
-const path = require('path');
 const File = require('../models/File');
-const { protect } = require('../middleware/auth');
-const upload = require('../config/multer');
+const { protect, requireVerified, canModerateCollege } = require('../middleware/auth');
+const { upload, bulkUpload, loadUploadPolicy } = require('../config/multer');
+const { getStorage } = require('../services/storage');
+const { releaseBlob, findDuplicate } = require('../services/blobs');
+const {
+  withTieBreaker,
+  toSortObject,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter
+} = require('../utils/pagination');
+const { escapeRegex, getSearchTerms, buildHighlights, highlight } = require('../utils/search');
+const { processFile } = require('../services/fileProcessing');
+const { sendStoredFile } = require('../utils/fileResponse');
+const { FILE_TYPES } = require('../services/fileTypes');
+const { expandArchive, buildNewFile } = require('../services/ingest');
+const { resolveCourse, unknownCourseError } = require('../services/courseCatalog');
+const { recordFileEvent, getFileStats, getTrendingFiles } = require('../services/fileEvents');
+const { isHiddenFrom, resolveReports } = require('../services/moderation');
+const { removeFile } = require('../services/fileRemoval');
+const { loadAccessibleFile } = require('../middleware/fileAccess');
+const {
+  ACADEMIC_FIELDS,
+  PROFILE_FILTER_FIELDS,
+  validateAcademicFields,
+  academicBodyRules,
+  academicQueryRules
+} = require('../utils/academic');
+
+/**
+ * Whether a user may edit or delete a file: its uploader, or a moderator/admin
+ * of the file's college
+ */
+const canManageFile = (user, file) => {
+  const uploaderId = file.uploader && file.uploader._id ? file.uploader._id : file.uploader;
+  return uploaderId.toString() === user._id.toString() || canModerateCollege(user, file.college);
+};
+
+/**
+ * Flag a file whose stored content no longer matches its checksum
+ * (only while that content is still the current version)
+ */
+const markCorrupted = (fileId, checksum) => {
+  return File.updateOne(
+    { _id: fileId, checksum },
+    { integrity: { status: 'corrupted', checkedAt: new Date() } }
+  );
+};
+
+/**
+ * Why content with a given scan status may not be downloaded (null when clean)
+ */
+const SCAN_BLOCKS = {
+  pending: {
+    status: 409,
+    code: 'SCAN_PENDING',
+    message: 'This file is still being scanned for malware. Please try again shortly.'
+  },
+  error: {
+    status: 409,
+    code: 'SCAN_FAILED',
+    message: 'This file could not be scanned for malware and is unavailable until it is rescanned.'
+  },
+  infected: {
+    status: 403,
+    code: 'FILE_INFECTED',
+    message: 'This file was flagged as malware and has been quarantined.'
+  }
+};
+
+const getScanBlock = (scanStatus) => SCAN_BLOCKS[scanStatus] || null;
 
 /**
  * @route   POST /api/files/upload
  * @desc    Upload a new file
  * @access  Private
  */
-router.post('/upload', protect, upload.single('file'), [
+router.post('/upload', protect, requireVerified, upload.single('file'), [
   body('semester')
     .notEmpty()
     .withMessage('Semester is required')
@@ -27,11 +95,19 @@ router.post('/upload', protect, upload.single('file'), [
     .optional()
     .trim()
     .isLength({ max: 1000 })
-    .withMessage('Description cannot exceed 1000 characters')
+    .withMessage('Description cannot exceed 1000 characters'),
+  ...academicBodyRules(),
+  body('onDuplicate')
+    .optional()
+    .isIn(['warn', 'reject'])
+    .withMessage('onDuplicate must be warn or reject')
 ], async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
+    if (req.file) {
+      await releaseBlob(req.file.storageKey).catch(() => {});
+    }
     return res.status(400).json({
       success: false,
       errors: errors.array()
@@ -47,37 +123,54 @@ router.post('/upload', protect, upload.single('file'), [
   }
 
   try {
-    const { semester, course, description } = req.body;
+    // Colleges with a course catalog only accept its courses
+    const resolved = await resolveCourse(req.user.college._id, req.body.course);
+    if (!resolved) {
+      await releaseBlob(req.file.storageKey);
+      return res.status(400).json({
+        success: false,
+        ...unknownCourseError(req.body.course)
+      });
+    }
+    const { course, courseRef } = resolved;
 
-    // Generate file URL (in production, this would be S3/GCS URL)
-    // For now, using local path as placeholder
-    const fileUrl = `/uploads/${req.file.filename}`;
+    // Same content already shared in this college?
+    const duplicate = await findDuplicate(req.user.college._id, req.file.checksum, req.user);
+    if (duplicate && req.body.onDuplicate === 'reject') {
+      await releaseBlob(req.file.storageKey);
+      return res.status(409).json({
+        success: false,
+        code: 'DUPLICATE_FILE',
+        message: 'This file has already been uploaded to your college',
+        duplicateOf: duplicate
+      });
+    }
 
     // Create file record with college from authenticated user
-    const file = await File.create({
-      college: req.user.college._id, // Critical: Use user's college for access control
-      uploader: req.user._id,
-      fileName: req.file.originalname,
-      semester,
-      course,
-      description: description || '',
-      fileUrl,
-      fileType: req.file.mimetype,
-      fileSize: req.file.size,
-      uploadDate: new Date()
-    });
+    // Department, branch and regulation default to the uploader's profile
+    const file = await File.create(buildNewFile(req.user, req.file, { ...req.body, course, courseRef }));
+
+    // Text extraction runs in the background and never blocks the upload
+    processFile(file);
 
     // Populate the file with uploader and college info
     await file.populate('uploader', 'name email');
     await file.populate('college', 'name');
 
-    res.status(201).json({
+    const response = {
       success: true,
       message: 'File uploaded successfully',
       data: file
-    });
+    };
+    if (duplicate) {
+      response.warning = 'The same file has already been uploaded to your college';
+      response.duplicateOf = duplicate;
+    }
+
+    res.status(201).json(response);
   } catch (error) {
     console.error('File upload error:', error);
+    await releaseBlob(req.file.storageKey).catch(() => {});
     res.status(500).json({
       success: false,
       message: 'Server error during file upload'
@@ -85,9 +178,309 @@ router.post('/upload', protect, upload.single('file'), [
   }
 });
 
+const SEMESTERS = ['1', '2', '3', '4', '5', '6', '7', '8'];
+
+// Per-file metadata keys accepted in a bulk upload's metadata array
+const BULK_METADATA_FIELDS = ['semester', 'course', 'description', ...ACADEMIC_FIELDS];
+
+/**
+ * Validate the metadata of one file of a bulk upload (same rules as
+ * POST /api/files/upload)
+ * @returns {string[]} Error messages
+ */
+const validateFileMetadata = (metadata) => {
+  const { semester, course, description } = metadata;
+  const messages = [];
+  if (!semester) {
+    messages.push('Semester is required');
+  } else if (!SEMESTERS.includes(semester)) {
+    messages.push('Semester must be between 1 and 8');
+  }
+  if (!course) {
+    messages.push('Course name is required');
+  } else if (course.length > 100) {
+    messages.push('Course name cannot exceed 100 characters');
+  }
+  if (description && description.length > 1000) {
+    messages.push('Description cannot exceed 1000 characters');
+  }
+  messages.push(...validateAcademicFields(metadata));
+  return messages;
+};
+
+/**
+ * @route   POST /api/files/bulk
+ * @desc    Upload several files at once (field "files"), optionally expanding
+ *          ZIP archives into their files
+ * @access  Private
+ *
+ * semester/course/description apply to every file; metadata (a JSON array in
+ * upload order) overrides them per file, and files expanded from a ZIP share
+ * the archive's entry. mode=atomic creates nothing unless every file is valid;
+ * best-effort (default) creates the valid ones. Each file gets a result.
+ */
+router.post('/bulk', protect, requireVerified, bulkUpload.array('files'), [
+  body('semester')
+    .optional()
+    .isIn(SEMESTERS)
+    .withMessage('Semester must be between 1 and 8'),
+  body('course')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Course name cannot exceed 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+  ...academicBodyRules(),
+  body('metadata')
+    .optional()
+    .custom((value) => {
+      const metadata = JSON.parse(value);
+      return Array.isArray(metadata) && metadata.every(entry => entry && typeof entry === 'object');
+    })
+    .withMessage('metadata must be a JSON array of objects'),
+  body('mode')
+    .optional()
+    .isIn(['atomic', 'best-effort'])
+    .withMessage('mode must be atomic or best-effort'),
+  body('expandZip')
+    .optional()
+    .isBoolean()
+    .withMessage('expandZip must be true or false'),
+  body('onDuplicate')
+    .optional()
+    .isIn(['warn', 'reject'])
+    .withMessage('onDuplicate must be warn or reject')
+], async (req, res) => {
+  const uploadedFiles = req.files || [];
+  const storedKeys = uploadedFiles.map(file => file.storageKey).filter(Boolean);
+
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    await Promise.all(storedKeys.map(key => releaseBlob(key).catch(() => {})));
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  if (uploadedFiles.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please upload at least one file'
+    });
+  }
+
+  const mode = req.body.mode || 'best-effort';
+  const metadata = req.body.metadata ? JSON.parse(req.body.metadata) : [];
+  const maxFiles = parseInt(process.env.BULK_UPLOAD_MAX_FILES) || 20;
+  const items = [];
+
+  try {
+    const policy = await loadUploadPolicy(req);
+
+    // One item per file to create; ZIP archives become one item per member
+    for (const [index, file] of uploadedFiles.entries()) {
+      const meta = {};
+      for (const field of BULK_METADATA_FIELDS) {
+        const value = metadata[index] && metadata[index][field] !== undefined
+          ? metadata[index][field]
+          : req.body[field];
+        meta[field] = value === undefined || value === null ? undefined : String(value).trim();
+      }
+
+      if (file.rejected) {
+        items.push({ fileName: file.originalname, meta, error: file.rejected });
+      } else if (req.body.expandZip === 'true' && file.mimetype === FILE_TYPES.zip.mime) {
+        const members = await expandArchive(file, policy, { maxFiles });
+        storedKeys.push(...members.map(member => member.storageKey).filter(Boolean));
+        for (const member of members) {
+          items.push({
+            fileName: member.originalname,
+            archive: file.originalname,
+            path: member.path,
+            meta,
+            stored: member.rejected ? null : member,
+            error: member.rejected
+          });
+        }
+      } else {
+        items.push({ fileName: file.originalname, meta, stored: file });
+      }
+    }
+
+    // Per-file checks: batch size, metadata, duplicates in the college or the batch
+    const seenChecksums = new Map();
+    for (const [index, item] of items.entries()) {
+      if (item.error) {
+        continue;
+      }
+
+      if (index >= maxFiles) {
+        item.error = { code: 'TOO_MANY_FILES', message: `At most ${maxFiles} files can be uploaded at once` };
+        continue;
+      }
+
+      const messages = validateFileMetadata(item.meta);
+      if (messages.length > 0) {
+        item.error = { code: 'VALIDATION_ERROR', message: messages.join('; ') };
+        continue;
+      }
+
+      const resolved = await resolveCourse(req.user.college._id, item.meta.course);
+      if (!resolved) {
+        item.error = unknownCourseError(item.meta.course);
+        continue;
+      }
+      item.meta = { ...item.meta, ...resolved };
+
+      const { checksum } = item.stored;
+      const duplicate = await findDuplicate(req.user.college._id, checksum, req.user);
+      const batchDuplicate = seenChecksums.get(checksum);
+      seenChecksums.set(checksum, item.fileName);
+
+      if ((duplicate || batchDuplicate) && req.body.onDuplicate === 'reject') {
+        item.error = {
+          code: 'DUPLICATE_FILE',
+          message: duplicate
+            ? 'This file has already been uploaded to your college'
+            : `Same content as ${batchDuplicate} in this upload`
+        };
+        item.duplicateOf = duplicate || undefined;
+      } else if (duplicate || batchDuplicate) {
+        item.warning = duplicate
+          ? 'The same file has already been uploaded to your college'
+          : `Same content as ${batchDuplicate} in this upload`;
+        item.duplicateOf = duplicate || undefined;
+      }
+    }
+
+    const validItems = items.filter(item => !item.error);
+
+    if (mode === 'atomic' && validItems.length < items.length) {
+      for (const item of validItems) {
+        item.skipped = true;
+      }
+    } else if (mode === 'atomic') {
+      // All or nothing: records already inserted are removed again if one fails
+      const files = validItems.map(item => new File(buildNewFile(req.user, item.stored, item.meta)));
+      try {
+        await File.insertMany(files);
+      } catch (error) {
+        await File.deleteMany({ _id: { $in: files.map(file => file._id) } });
+        throw error;
+      }
+      files.forEach((file, i) => {
+        validItems[i].file = file;
+      });
+    } else {
+      for (const item of validItems) {
+        try {
+          item.file = await File.create(buildNewFile(req.user, item.stored, item.meta));
+        } catch (error) {
+          item.error = error.name === 'ValidationError'
+            ? { code: 'VALIDATION_ERROR', message: Object.values(error.errors).map(e => e.message).join('; ') }
+            : { code: 'UPLOAD_FAILED', message: 'Server error while saving this file' };
+          if (error.name !== 'ValidationError') {
+            console.error(`Bulk upload error for ${item.fileName}:`, error);
+          }
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Bulk upload error:', error);
+    await Promise.all(storedKeys.map(key => releaseBlob(key).catch(() => {})));
+    return res.status(500).json({
+      success: false,
+      message: 'Server error during bulk upload'
+    });
+  }
+
+  const createdItems = items.filter(item => item.file);
+
+  // Blobs of files that were not created (releaseBlob keeps any still referenced)
+  await Promise.all(storedKeys.map(key => releaseBlob(key).catch(() => {})));
+  createdItems.forEach(item => processFile(item.file));
+
+  const results = items.map((item, index) => {
+    const result = { index, fileName: item.fileName };
+    if (item.archive) {
+      result.archive = item.archive;
+      result.path = item.path;
+    }
+    if (item.file) {
+      result.status = 'created';
+      result.data = item.file;
+    } else if (item.skipped) {
+      result.status = 'skipped';
+      result.message = 'Not created because other files in this upload failed';
+    } else {
+      result.status = 'failed';
+      result.code = item.error.code;
+      result.message = item.error.message;
+    }
+    if (item.warning) {
+      result.warning = item.warning;
+    }
+    if (item.duplicateOf) {
+      result.duplicateOf = item.duplicateOf;
+    }
+    return result;
+  });
+
+  const failed = results.filter(result => result.status !== 'created').length;
+  const status = failed === 0 ? 201 : createdItems.length > 0 ? 207 : 400;
+
+  res.status(status).json({
+    success: createdItems.length > 0,
+    message: `${createdItems.length} of ${results.length} files uploaded`,
+    mode,
+    created: createdItems.length,
+    failed,
+    results
+  });
+});
+
+/**
+ * Sort options for GET /api/files (an _id tie-breaker is appended for cursors)
+ */
+const LIST_SORTS = {
+  newest: [['uploadDate', -1]],
+  oldest: [['uploadDate', 1]],
+  name: [['fileName', 1]],
+  size: [['fileSize', -1]],
+  downloads: [['downloadCount', -1], ['uploadDate', -1]],
+  views: [['viewCount', -1], ['uploadDate', -1]],
+  // Best rated first (Bayesian average, see services/reviews.js), then most upvoted
+  top: [['ratings.score', -1], ['ratings.upvotes', -1], ['uploadDate', -1]],
+  // Text score order; only with search_term, page-based pagination only
+  relevance: null
+};
+
+/**
+ * Fields searched by the prefix fallback and returned as highlighted snippets
+ */
+const SEARCH_FIELDS = ['fileName', 'course', 'description', 'uploaderName'];
+
+/**
+ * Fields that may be requested with ?fields= on GET /api/files
+ */
+const LIST_FIELDS = [
+  'fileName', 'semester', 'course', 'courseRef', 'description', 'department', 'branch', 'regulation',
+  'academicYear', 'fileUrl', 'fileType', 'fileSize',
+  'uploadDate', 'uploader', 'uploaderName', 'college', 'downloadCount', 'viewCount', 'lastAccessedAt', 'ratings',
+  'currentVersion', 'pageCount',
+  'extraction', 'preview', 'scan', 'moderation', 'createdAt', 'updatedAt'
+];
+
 /**
  * @route   GET /api/files
- * @desc    Get files with college-based access control and optional filters
+ * @desc    Get files with college-based access control, optional filters,
+ *          sorting, field selection and pagination (page/limit or cursor)
  * @access  Private
  */
 router.get('/', protect, [
@@ -100,11 +493,39 @@ router.get('/', protect, [
     .trim(),
   query('search_term')
     .optional()
-    .trim(),
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('search_term cannot exceed 100 characters'),
+  ...academicQueryRules(),
+  query('useProfile')
+    .optional()
+    .isBoolean()
+    .withMessage('useProfile must be true or false'),
   query('myuploads')
     .optional()
     .isBoolean()
-    .withMessage('myuploads must be true or false')
+    .withMessage('myuploads must be true or false'),
+  query('sort')
+    .optional()
+    .isIn(Object.keys(LIST_SORTS))
+    .withMessage(`sort must be one of: ${Object.keys(LIST_SORTS).join(', ')}`),
+  query('fields')
+    .optional()
+    .custom(value => String(value).split(',').every(field => LIST_FIELDS.includes(field.trim())))
+    .withMessage(`fields may only contain: ${LIST_FIELDS.join(', ')}`),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100')
+    .toInt(),
+  query('cursor')
+    .optional()
+    .isString()
 ], async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -127,28 +548,158 @@ router.get('/', protect, [
     }
 
     if (req.query.course) {
-      // Case-insensitive exact match for course
-      query.course = new RegExp(`^${req.query.course}$`, 'i');
+      // Catalog courses match by reference (any code, name or alias finds
+      // them); free-text courses by case-insensitive exact match (escaped)
+      const resolved = await resolveCourse(req.user.college._id, req.query.course);
+      if (resolved && resolved.courseRef) {
+        query.courseRef = resolved.courseRef;
+      } else {
+        query.course = new RegExp(`^${escapeRegex(req.query.course)}$`, 'i');
+      }
+    }
+
+    // Department, branch, regulation and academic year; "all" disables a
+    // filter. Unless disabled (useProfile=false, or listing one's own uploads),
+    // the user's profile fills in the ones not given, still including files
+    // without a value (shared by every department, branch or regulation)
+    const useProfile = req.query.useProfile !== 'false' && req.query.myuploads !== 'true';
+    const academicFilters = {};
+    const profileDefaults = [];
+    for (const field of ACADEMIC_FIELDS) {
+      const value = req.query[field];
+      if (value && value.toLowerCase() !== 'all') {
+        query[field] = field === 'academicYear' ? value : value.toUpperCase();
+        academicFilters[field] = query[field];
+      } else if (!value && useProfile && PROFILE_FILTER_FIELDS.includes(field) && req.user[field]) {
+        query[field] = { $in: [req.user[field], null] };
+        academicFilters[field] = req.user[field];
+        profileDefaults.push(field);
+      } else {
+        academicFilters[field] = 'all';
+      }
     }
 
     if (req.query.myuploads === 'true') {
       query.uploader = req.user._id;
     }
 
-    // Handle search term (case-insensitive search in fileName and description)
+    // Hidden (reported) files are left out for regular users; uploaders still
+    // see their own with myuploads, moderators see everything
+    if (req.query.myuploads !== 'true' && !canModerateCollege(req.user, req.user.college._id)) {
+      query['moderation.hidden'] = { $ne: true };
+    }
+
+    // Handle search term: indexed full-text search ranked by relevance, falling
+    // back to (escaped) word-prefix matching when no whole word matches
+    let searchMode = null;
     if (req.query.search_term) {
-      query.$or = [
-        { fileName: new RegExp(req.query.search_term, 'i') },
-        { description: new RegExp(req.query.search_term, 'i') }
-      ];
+      const textQuery = { ...query, $text: { $search: req.query.search_term } };
+
+      if (await File.exists(textQuery)) {
+        query.$text = textQuery.$text;
+        searchMode = 'text';
+      } else {
+        const prefix = new RegExp(`(?:^|\\s)${escapeRegex(req.query.search_term)}`, 'i');
+        query.$or = SEARCH_FIELDS.map(field => ({ [field]: prefix }));
+        searchMode = 'prefix';
+      }
+    }
+
+    // Relevance is the default order for text searches and meaningless otherwise
+    let sortName = req.query.sort || (searchMode === 'text' ? 'relevance' : 'newest');
+    if (sortName === 'relevance') {
+      if (!searchMode) {
+        return res.status(400).json({
+          success: false,
+          message: 'sort=relevance requires search_term'
+        });
+      }
+      if (req.query.cursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cursor pagination is not available for sort=relevance, use page'
+        });
+      }
+      if (searchMode === 'prefix') {
+        sortName = 'newest';
+      }
+    }
+
+    const byRelevance = sortName === 'relevance';
+    const sort = byRelevance ? [['_id', -1]] : withTieBreaker(LIST_SORTS[sortName]);
+    const sortObject = byRelevance
+      ? { score: { $meta: 'textScore' }, _id: -1 }
+      : toSortObject(sort);
+    const limit = req.query.limit || 20;
+    const page = req.query.page || 1;
+
+    // Cursor pagination continues after the last document of the previous page
+    const pageQuery = { ...query };
+    if (req.query.cursor) {
+      const cursorValues = decodeCursor(req.query.cursor, sort);
+      if (!cursorValues) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
+      pageQuery.$and = [buildCursorFilter(sort, cursorValues)];
+    }
+
+    // Field projection (sort keys are always kept so the next cursor can be built;
+    // a dotted sort key is left out when its parent is requested, as MongoDB
+    // rejects projections holding both a path and its parent)
+    const fields = req.query.fields
+      ? [...new Set(req.query.fields.split(',').map(field => field.trim()))]
+      : null;
+    const sortFields = sort
+      .map(([field]) => field)
+      .filter(field => !fields || !fields.includes(field.split('.')[0]));
+    const projection = fields
+      ? [...new Set([...fields, ...sortFields])].join(' ')
+      : '-versions -preview.text';
+
+    // Document content is only loaded for text searches, to build its snippet
+    let findQuery = File.find(pageQuery)
+      .select(searchMode === 'text' ? `${projection} +extractedText` : projection)
+      .sort(sortObject)
+      .limit(limit + 1); // One extra to know whether another page exists
+
+    if (searchMode === 'text') {
+      findQuery = findQuery.select({ score: { $meta: 'textScore' } });
+    }
+
+    if (!req.query.cursor) {
+      findQuery = findQuery.skip((page - 1) * limit);
+    }
+    if (!fields || fields.includes('uploader')) {
+      findQuery = findQuery.populate('uploader', 'name email');
+    }
+    if (!fields || fields.includes('college')) {
+      findQuery = findQuery.populate('college', 'name');
     }
 
     // Execute query with population and sorting
-    const files = await File.find(query)
-      .populate('uploader', 'name email')
-      .populate('college', 'name')
-      .sort({ uploadDate: -1 }) // Most recent first
-      .lean();
+    const [results, total] = await Promise.all([
+      findQuery.lean(),
+      File.countDocuments(query)
+    ]);
+
+    const hasMore = results.length > limit;
+    const files = hasMore ? results.slice(0, limit) : results;
+    const nextCursor = hasMore && !byRelevance ? encodeCursor(files[files.length - 1], sort) : null;
+
+    if (searchMode) {
+      const terms = getSearchTerms(req.query.search_term);
+      files.forEach((file) => {
+        file.highlights = buildHighlights(file, terms, SEARCH_FIELDS);
+        const contentSnippet = highlight(file.extractedText, terms);
+        if (contentSnippet) {
+          file.highlights.content = contentSnippet;
+        }
+        delete file.extractedText;
+      });
+    }
 
     res.json({
       success: true,
@@ -157,8 +708,20 @@ router.get('/', protect, [
         college: req.user.college.name,
         semester: req.query.semester || 'all',
         course: req.query.course || 'all',
+        ...academicFilters,
+        profileDefaults,
         myUploads: req.query.myuploads === 'true',
-        searchTerm: req.query.search_term || 'none'
+        searchTerm: req.query.search_term || 'none',
+        searchMode: searchMode || 'none'
+      },
+      sort: sortName,
+      pagination: {
+        total,
+        limit,
+        page: req.query.cursor ? null : page,
+        totalPages: Math.ceil(total / limit),
+        hasMore,
+        nextCursor
       },
       data: files
     });
@@ -171,6 +734,88 @@ router.get('/', protect, [
   }
 });
 
+/**
+ * @route   GET /api/files/trending
+ * @desc    Most downloaded and viewed files of the user's college over the last
+ *          days (default 7), ranked by distinct users; optionally filtered by
+ *          semester/course or grouped with groupBy=semester|course
+ * @access  Private
+ */
+router.get('/trending', protect, [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage('days must be between 1 and 90')
+    .toInt(),
+  query('semester')
+    .optional()
+    .isIn(SEMESTERS)
+    .withMessage('Invalid semester value'),
+  query('course')
+    .optional()
+    .trim(),
+  query('groupBy')
+    .optional()
+    .isIn(['semester', 'course'])
+    .withMessage('groupBy must be semester or course'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('limit must be between 1 and 50')
+    .toInt()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const days = req.query.days || 7;
+    const limit = req.query.limit || 10;
+    const groupBy = req.query.groupBy || null;
+
+    const fileFilter = { 'moderation.hidden': { $ne: true } };
+    if (req.query.semester) {
+      fileFilter.semester = req.query.semester;
+    }
+    if (req.query.course) {
+      // Same course matching as GET /api/files
+      const resolved = await resolveCourse(req.user.college._id, req.query.course);
+      if (resolved && resolved.courseRef) {
+        fileFilter.courseRef = resolved.courseRef;
+      } else {
+        fileFilter.course = new RegExp(`^${escapeRegex(req.query.course)}$`, 'i');
+      }
+    }
+
+    // CRITICAL: Only files from user's college
+    const data = await getTrendingFiles(req.user.college._id, { days, fileFilter, groupBy, limit });
+
+    res.json({
+      success: true,
+      count: data.length,
+      filters: {
+        college: req.user.college.name,
+        days,
+        semester: req.query.semester || 'all',
+        course: req.query.course || 'all',
+        groupBy: groupBy || 'none'
+      },
+      data
+    });
+  } catch (error) {
+    console.error('Get trending files error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching trending files'
+    });
+  }
+});
+
 /**
  * @route   GET /api/files/:id
  * @desc    Get single file details with access control
@@ -210,6 +855,14 @@ router.get('/:id', protect, [
       });
     }
 
+    // Hidden files are reported as missing to everyone but their uploader and moderators
+    if (isHiddenFrom(req.user, file)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
     res.json({
       success: true,
       data: file
@@ -226,12 +879,17 @@ router.get('/:id', protect, [
 /**
  * @route   GET /api/files/:id/download
  * @desc    Download file with proper headers and access control
+ *          (?inline=true to view in the browser; supports Range and conditional requests)
  * @access  Private
  */
-router.get('/:id/download', protect, [
+router.get('/:id/download', protect, requireVerified, [
   param('id')
     .isMongoId()
-    .withMessage('Invalid file ID')
+    .withMessage('Invalid file ID'),
+  query('inline')
+    .optional()
+    .isBoolean()
+    .withMessage('inline must be true or false')
 ], async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -261,39 +919,48 @@ router.get('/:id/download', protect, [
       });
     }
 
-    // Get the file path
-    const path = require('path');
-    const fs = require('fs');
-    const filePath = path.join(__dirname, '..', 'uploads', path.basename(file.fileUrl));
-
-    // Check if file exists
-    if (!fs.existsSync(filePath)) {
+    // Hidden files are reported as missing to everyone but their uploader and moderators
+    if (isHiddenFrom(req.user, file)) {
       return res.status(404).json({
         success: false,
-        message: 'File not found on server'
+        message: 'File not found'
       });
     }
 
-    // Set headers to force download instead of opening in browser
-    res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
-    res.setHeader('Content-Type', file.fileType);
-    res.setHeader('Content-Length', file.fileSize);
+    const scanBlock = getScanBlock(file.scan.status);
+    if (scanBlock) {
+      return res.status(scanBlock.status).json({
+        success: false,
+        code: scanBlock.code,
+        message: scanBlock.message
+      });
+    }
 
-    // Stream the file
-    const fileStream = fs.createReadStream(filePath);
-    fileStream.pipe(res);
+    if (file.integrity && file.integrity.status === 'corrupted') {
+      return res.status(500).json({
+        success: false,
+        code: 'FILE_CORRUPTED',
+        message: 'The stored file failed its integrity check. Please ask the uploader to re-upload it.'
+      });
+    }
 
-    // Handle stream errors
-    fileStream.on('error', (error) => {
-      console.error('File stream error:', error);
-      if (!res.headersSent) {
-        res.status(500).json({
-          success: false,
-          message: 'Error reading file'
-        });
-      }
+    const sent = await sendStoredFile(req, res, {
+      storageKey: file.getStorageKey(),
+      fileName: file.fileName,
+      fileType: file.fileType,
+      fileSize: file.fileSize,
+      checksum: file.checksum
+    }, {
+      inline: req.query.inline === 'true',
+      onIntegrityFailure: () => markCorrupted(file._id, file.checksum)
     });
 
+    // Resumed (ranged) requests are not counted as new downloads or views
+    if ((sent.status === 200 || sent.status === 206) && sent.start === 0) {
+      await recordFileEvent(req.user, file, { inline: req.query.inline === 'true' }).catch((eventError) => {
+        console.error('Record download error:', eventError);
+      });
+    }
   } catch (error) {
     console.error('Download file error:', error);
     res.status(500).json({
@@ -303,5 +970,656 @@ router.get('/:id/download', protect, [
   }
 });
 
+/**
+ * @route   GET /api/files/:id/stats
+ * @desc    Download and view counts of a file, with a daily breakdown of the
+ *          last days (default 30)
+ * @access  Private
+ */
+router.get('/:id/stats', protect, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid file ID'),
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('days must be between 1 and 365')
+    .toInt()
+], loadAccessibleFile, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getFileStats(req.targetFile, req.query.days || 30)
+    });
+  } catch (error) {
+    console.error('Get file stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching file statistics'
+    });
+  }
+});
+
+/**
+ * Serve a file's thumbnail or preview rendition
+ * Must be used after loadAccessibleFile
+ * @param {string} rendition - 'thumbnail' or 'preview'
+ */
+const serveRendition = (rendition) => async (req, res) => {
+  try {
+    const file = req.targetFile;
+
+    // Renditions are derived from the content: same scan rules as download
+    const scanBlock = getScanBlock(file.scan.status);
+    if (scanBlock) {
+      return res.status(scanBlock.status).json({
+        success: false,
+        code: scanBlock.code,
+        message: scanBlock.message
+      });
+    }
+
+    const { status, text } = file.preview;
+
+    if (status === 'pending') {
+      return res.status(202).json({
+        success: true,
+        status,
+        message: `The ${rendition} is still being generated`
+      });
+    }
+
+    // Text files have a snippet instead of images
+    if (status === 'completed' && text !== null) {
+      return res.type('text/plain; charset=utf-8').send(rendition === 'thumbnail' ? text.slice(0, 300) : text);
+    }
+
+    const key = rendition === 'thumbnail' ? file.preview.thumbnailKey : file.preview.previewKey;
+    if (status !== 'completed' || !key) {
+      return res.status(404).json({
+        success: false,
+        status,
+        message: `No ${rendition} available for this file`
+      });
+    }
+
+    const storage = getStorage();
+    const stats = await storage.stat(key);
+    if (!stats) {
+      return res.status(404).json({
+        success: false,
+        message: `No ${rendition} available for this file`
+      });
+    }
+
+    const imageStream = await storage.getStream(key);
+    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('Content-Length', stats.size);
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    imageStream.pipe(res);
+
+    imageStream.on('error', (error) => {
+      console.error(`${rendition} stream error:`, error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          message: `Error reading ${rendition}`
+        });
+      } else {
+        res.destroy(error);
+      }
+    });
+  } catch (error) {
+    console.error(`Get ${rendition} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Server error while fetching ${rendition}`
+    });
+  }
+};
+
+/**
+ * @route   GET /api/files/:id/thumbnail
+ * @desc    Get a small PNG thumbnail (images, PDFs) or a short text snippet (text files)
+ * @access  Private
+ */
+router.get('/:id/thumbnail', protect, requireVerified, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid file ID')
+], loadAccessibleFile, serveRendition('thumbnail'));
+
+/**
+ * @route   GET /api/files/:id/preview
+ * @desc    Get a first-page PNG preview (images, PDFs) or a text snippet (text files)
+ * @access  Private
+ */
+router.get('/:id/preview', protect, requireVerified, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid file ID')
+], loadAccessibleFile, serveRendition('preview'));
+
+/**
+ * Load the file from req.params.id before accepting an upload for it, so that
+ * nothing is written to storage for users who may not manage the file
+ * Sets req.targetFile
+ */
+const loadManageableFile = async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const file = await File.findById(req.params.id);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    // CRITICAL: Verify user has access to this file (same college)
+    if (file.college.toString() !== req.user.college._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You can only access files from your college'
+      });
+    }
+
+    if (!canManageFile(req.user, file)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Only the uploader or a moderator can upload a new version'
+      });
+    }
+
+    req.targetFile = file;
+    next();
+  } catch (error) {
+    console.error('Load file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching file'
+    });
+  }
+};
+
+/**
+ * @route   POST /api/files/:id/versions
+ * @desc    Upload a new version of a file's content (keeps previous versions)
+ * @access  Private
+ */
+router.post('/:id/versions', protect, requireVerified, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid file ID')
+], loadManageableFile, upload.single('file'), [
+  body('changeNote')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Change note cannot exceed 500 characters')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    if (req.file) {
+      await releaseBlob(req.file.storageKey).catch(() => {});
+    }
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  // Check if file was uploaded
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please upload a file'
+    });
+  }
+
+  try {
+    const file = req.targetFile;
+
+    if (file.checksum && file.checksum === req.file.checksum) {
+      await releaseBlob(req.file.storageKey);
+      return res.status(400).json({
+        success: false,
+        message: 'The uploaded content is identical to the current version'
+      });
+    }
+
+    const nextVersion = file.currentVersion + 1;
+    const version = {
+      version: nextVersion,
+      storageKey: req.file.storageKey,
+      fileName: req.file.originalname,
+      fileType: req.file.mimetype,
+      fileSize: req.file.size,
+      checksum: req.file.checksum,
+      uploader: req.user._id,
+      changeNote: req.body.changeNote || '',
+      uploadedAt: new Date()
+    };
+
+    // Files uploaded before versioning get their original content recorded as version 1
+    const history = file.versions.length > 0 ? [] : file.getVersions();
+
+    // Only succeeds if nobody else added a version in the meantime
+    // (legacy documents have no stored currentVersion at all)
+    const updated = await File.findOneAndUpdate(
+      {
+        _id: file._id,
+        currentVersion: history.length > 0 ? { $in: [file.currentVersion, null] } : file.currentVersion
+      },
+      {
+        $set: {
+          fileName: version.fileName,
+          fileUrl: `/uploads/${encodeURIComponent(version.storageKey)}`,
+          storageKey: version.storageKey,
+          fileType: version.fileType,
+          fileSize: version.fileSize,
+          checksum: version.checksum,
+          integrity: { status: 'ok', checkedAt: null },
+          currentVersion: nextVersion,
+          extractedText: '',
+          pageCount: null,
+          extraction: { status: 'pending', error: null, extractedAt: null },
+          'preview.status': 'pending',
+          scan: { status: 'pending', threat: null, error: null, scannedAt: null }
+        },
+        $push: { versions: { $each: [...history, version] } }
+      },
+      { new: true }
+    )
+      .populate('uploader', 'name email')
+      .populate('college', 'name');
+
+    if (!updated) {
+      await releaseBlob(version.storageKey).catch(() => {});
+      return res.status(409).json({
+        success: false,
+        message: 'Another version was uploaded at the same time, please retry'
+      });
+    }
+
+    processFile(updated);
+
+    res.status(201).json({
+      success: true,
+      message: `Version ${nextVersion} uploaded successfully`,
+      data: updated
+    });
+  } catch (error) {
+    console.error('Upload version error:', error);
+    await releaseBlob(req.file.storageKey).catch(() => {});
+    res.status(500).json({
+      success: false,
+      message: 'Server error during version upload'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/files/:id/versions
+ * @desc    Get a file's version history (newest first)
+ * @access  Private
+ */
+router.get('/:id/versions', protect, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid file ID')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const file = await File.findById(req.params.id)
+      .populate('versions.uploader', 'name email');
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    // CRITICAL: Verify user has access to this file (same college)
+    if (file.college.toString() !== req.user.college._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You can only access files from your college'
+      });
+    }
+
+    // Hidden files are reported as missing to everyone but their uploader and moderators
+    if (isHiddenFrom(req.user, file)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    if (file.versions.length === 0) {
+      await file.populate('uploader', 'name email');
+    }
+
+    const versions = file.getVersions()
+      .map(({ version, fileName, fileType, fileSize, scanStatus, uploader, changeNote, uploadedAt }) => ({
+        version,
+        fileName,
+        fileType,
+        fileSize,
+        scanStatus,
+        uploader,
+        changeNote,
+        uploadedAt,
+        isCurrent: version === file.currentVersion
+      }))
+      .sort((a, b) => b.version - a.version);
+
+    res.json({
+      success: true,
+      count: versions.length,
+      currentVersion: file.currentVersion,
+      data: versions
+    });
+  } catch (error) {
+    console.error('Get file versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching file versions'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/files/:id/versions/:version/download
+ * @desc    Download a specific version of a file
+ * @access  Private
+ */
+router.get('/:id/versions/:version/download', protect, requireVerified, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid file ID'),
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Invalid version number')
+    .toInt(),
+  query('inline')
+    .optional()
+    .isBoolean()
+    .withMessage('inline must be true or false')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const file = await File.findById(req.params.id);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    // CRITICAL: Verify user has access to this file (same college)
+    if (file.college.toString() !== req.user.college._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You can only download files from your college'
+      });
+    }
+
+    // Hidden files are reported as missing to everyone but their uploader and moderators
+    if (isHiddenFrom(req.user, file)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const version = file.getVersions().find(v => v.version === req.params.version);
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    const scanBlock = getScanBlock(version.scanStatus);
+    if (scanBlock) {
+      return res.status(scanBlock.status).json({
+        success: false,
+        code: scanBlock.code,
+        message: scanBlock.message
+      });
+    }
+
+    const sent = await sendStoredFile(req, res, {
+      ...(version.toObject ? version.toObject() : version),
+      lastModified: version.uploadedAt
+    }, {
+      inline: req.query.inline === 'true',
+      onIntegrityFailure: () => markCorrupted(file._id, version.checksum)
+    });
+
+    // Resumed (ranged) requests are not counted as new downloads or views
+    if ((sent.status === 200 || sent.status === 206) && sent.start === 0) {
+      await recordFileEvent(req.user, file, {
+        inline: req.query.inline === 'true',
+        version: version.version
+      }).catch((eventError) => {
+        console.error('Record download error:', eventError);
+      });
+    }
+  } catch (error) {
+    console.error('Download file version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while downloading file version'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/files/:id
+ * @desc    Update file metadata (uploader, college moderators and admins)
+ * @access  Private
+ */
+router.put('/:id', protect, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid file ID'),
+  body('fileName')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('File name cannot be empty')
+    .isLength({ max: 255 })
+    .withMessage('File name cannot exceed 255 characters'),
+  body('semester')
+    .optional()
+    .isIn(['1', '2', '3', '4', '5', '6', '7', '8'])
+    .withMessage('Semester must be between 1 and 8'),
+  body('course')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Course name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Course name cannot exceed 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+  ...academicBodyRules()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const file = await File.findById(req.params.id);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    // CRITICAL: Verify user has access to this file (same college)
+    if (file.college.toString() !== req.user.college._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You can only access files from your college'
+      });
+    }
+
+    if (!canManageFile(req.user, file)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Only the uploader or a moderator can edit this file'
+      });
+    }
+
+    // Only metadata can be edited; content, college and uploader are immutable
+    ['fileName', 'semester', 'description'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        file[field] = req.body[field];
+      }
+    });
+
+    // Empty academic fields mark the file as shared by all
+    ACADEMIC_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        file[field] = req.body[field] || null;
+      }
+    });
+
+    if (req.body.course !== undefined) {
+      const resolved = await resolveCourse(file.college, req.body.course);
+      if (!resolved) {
+        return res.status(400).json({
+          success: false,
+          ...unknownCourseError(req.body.course)
+        });
+      }
+      file.course = resolved.course;
+      file.courseRef = resolved.courseRef;
+    }
+
+    await file.save();
+    await file.populate('uploader', 'name email');
+    await file.populate('college', 'name');
+
+    res.json({
+      success: true,
+      message: 'File updated successfully',
+      data: file
+    });
+  } catch (error) {
+    console.error('Update file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating file'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/files/:id
+ * @desc    Delete a file record and its stored blob (uploader, college moderators and admins)
+ * @access  Private
+ */
+router.delete('/:id', protect, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid file ID')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const file = await File.findById(req.params.id);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    // CRITICAL: Verify user has access to this file (same college)
+    if (file.college.toString() !== req.user.college._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You can only access files from your college'
+      });
+    }
+
+    if (!canManageFile(req.user, file)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Only the uploader or a moderator can delete this file'
+      });
+    }
+
+    // Open reports are closed, not deleted: they stay as the moderation record.
+    // Only moderators action them; an uploader deleting their file just closes them
+    const resolution = canModerateCollege(req.user, file.college)
+      ? { status: 'actioned', action: 'delete', by: req.user._id }
+      : { status: 'closed', action: 'deleted_by_uploader', by: req.user._id };
+    await resolveReports(file._id, resolution);
+    await removeFile(file);
+
+    res.json({
+      success: true,
+      message: 'File deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting file'
+    });
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,432 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, validationResult, param, query } = require('express-validator');
+const File = require('../models/File');
+const User = require('../models/User');
+const Report = require('../models/Report');
+const { protect, authorize, canModerateCollege, revokeAllSessions } = require('../middleware/auth');
+const { resolveReports, setFileHidden } = require('../services/moderation');
+const { removeFile } = require('../services/fileRemoval');
+const { sendWarningEmail, sendBanEmail } = require('../services/emails');
+
+/**
+ * Moderation of reported files (mounted at /api/moderation)
+ *
+ * Moderators act on the files of their own college, admins on every college.
+ */
+
+const MODERATION_ACTIONS = ['dismiss', 'hide', 'delete', 'warn', 'ban'];
+
+const fileIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid file ID')
+];
+
+/**
+ * Middleware to load the file from req.params.id for its college's moderators
+ * Sets req.targetFile
+ */
+const loadModeratedFile = async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const file = await File.findById(req.params.id);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    if (!canModerateCollege(req.user, file.college)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You can only moderate files of your college'
+      });
+    }
+
+    req.targetFile = file;
+    next();
+  } catch (error) {
+    console.error('Load moderated file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching file'
+    });
+  }
+};
+
+/**
+ * Moderation summary of an uploader
+ */
+const formatUploader = (uploader) => {
+  if (!uploader) {
+    return null;
+  }
+
+  const ban = uploader.ban || {};
+  return {
+    _id: uploader._id,
+    name: uploader.name,
+    email: uploader.email,
+    role: uploader.role,
+    warnings: (uploader.warnings || []).length,
+    banned: !!(ban.bannedAt && (!ban.bannedUntil || ban.bannedUntil > Date.now())),
+    bannedUntil: ban.bannedUntil || null
+  };
+};
+
+/**
+ * @route   GET /api/moderation/queue
+ * @desc    Files with open reports (most reported first), with their report
+ *          counts per reason and uploader history
+ * @access  Private (moderator, admin; moderators see only their own college)
+ */
+router.get('/queue', protect, authorize('moderator', 'admin'), [
+  query('college')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid college ID'),
+  query('reason')
+    .optional()
+    .isIn(Report.REASONS)
+    .withMessage(`reason must be one of: ${Report.REASONS.join(', ')}`),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100')
+    .toInt()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    // Moderators are always scoped to their own college
+    const collegeId = req.user.role === 'admin'
+      ? req.query.college
+      : req.user.college._id;
+    const limit = req.query.limit || 20;
+    const page = req.query.page || 1;
+
+    const filter = { status: 'open' };
+    if (collegeId) {
+      filter.college = new mongoose.Types.ObjectId(String(collegeId));
+    }
+    if (req.query.reason) {
+      filter.reason = req.query.reason;
+    }
+
+    const [result] = await Report.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: '$file',
+          reports: { $sum: 1 },
+          reasons: { $push: '$reason' },
+          firstReportedAt: { $min: '$createdAt' },
+          lastReportedAt: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { reports: -1, firstReportedAt: 1, _id: 1 } },
+      {
+        $facet: {
+          items: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const files = await File.find({ _id: { $in: result.items.map(item => item._id) } })
+      .select('fileName semester course fileType fileSize college uploader uploaderName uploadDate moderation')
+      .populate('uploader', 'name email role warnings ban')
+      .lean();
+    const filesById = new Map(files.map(file => [file._id.toString(), file]));
+
+    const data = result.items
+      .filter(item => filesById.has(item._id.toString()))
+      .map((item) => {
+        const file = filesById.get(item._id.toString());
+        return {
+          file: { ...file, uploader: formatUploader(file.uploader) },
+          reports: item.reports,
+          reasons: item.reasons.reduce((counts, reason) => {
+            counts[reason] = (counts[reason] || 0) + 1;
+            return counts;
+          }, {}),
+          firstReportedAt: item.firstReportedAt,
+          lastReportedAt: item.lastReportedAt
+        };
+      });
+
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    res.json({
+      success: true,
+      count: data.length,
+      pagination: {
+        total,
+        limit,
+        page,
+        totalPages: Math.ceil(total / limit)
+      },
+      data
+    });
+  } catch (error) {
+    console.error('Moderation queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching moderation queue'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/moderation/files/:id/reports
+ * @desc    Reports of a file (newest first), open and resolved
+ * @access  Private (moderators of the file's college, admins)
+ */
+router.get('/files/:id/reports', protect, authorize('moderator', 'admin'), [
+  ...fileIdValidation,
+  query('status')
+    .optional()
+    .isIn(['open', 'dismissed', 'actioned', 'closed'])
+    .withMessage('status must be open, dismissed, actioned or closed')
+], loadModeratedFile, async (req, res) => {
+  try {
+    const filter = { file: req.targetFile._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const reports = await Report.find(filter)
+      .populate('reporter', 'name email')
+      .populate('resolution.by', 'name')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: reports.length,
+      moderation: req.targetFile.moderation,
+      data: reports
+    });
+  } catch (error) {
+    console.error('List file reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reports'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/moderation/files/:id/actions
+ * @desc    Act on a reported file: dismiss its reports (and show it again),
+ *          hide it, delete it, or warn or ban its uploader; closes the open reports
+ * @access  Private (moderators of the file's college, admins)
+ */
+router.post('/files/:id/actions', protect, authorize('moderator', 'admin'), [
+  ...fileIdValidation,
+  body('action')
+    .isIn(MODERATION_ACTIONS)
+    .withMessage(`action must be one of: ${MODERATION_ACTIONS.join(', ')}`),
+  body('note')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  body('note')
+    .if(body('action').isIn(['warn', 'ban']))
+    .notEmpty()
+    .withMessage('A note explaining the warning or ban is required'),
+  body('days')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 365 })
+    .withMessage('days must be between 1 and 365')
+    .toInt()
+], loadModeratedFile, async (req, res) => {
+  try {
+    const file = req.targetFile;
+    const { action } = req.body;
+    const note = req.body.note || null;
+    const resolution = { status: 'actioned', action, by: req.user._id, note };
+
+    if (action === 'dismiss') {
+      const closed = await resolveReports(file._id, { ...resolution, status: 'dismissed' });
+      if (file.moderation && file.moderation.hidden) {
+        await setFileHidden(file._id, false);
+      }
+      return res.json({
+        success: true,
+        message: 'Reports dismissed',
+        data: { action, reportsClosed: closed, hidden: false }
+      });
+    }
+
+    if (action === 'hide') {
+      await setFileHidden(file._id, true, { by: req.user._id, reason: note || 'Hidden by a moderator' });
+      const closed = await resolveReports(file._id, resolution);
+      return res.json({
+        success: true,
+        message: 'File hidden',
+        data: { action, reportsClosed: closed, hidden: true }
+      });
+    }
+
+    if (action === 'delete') {
+      const closed = await resolveReports(file._id, resolution);
+      await removeFile(file);
+      return res.json({
+        success: true,
+        message: 'File deleted',
+        data: { action, reportsClosed: closed }
+      });
+    }
+
+    // warn and ban act on the uploader
+    const uploader = await User.findById(file.uploader);
+
+    if (!uploader) {
+      return res.status(404).json({
+        success: false,
+        message: 'Uploader not found'
+      });
+    }
+
+    if (uploader._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot warn or ban yourself'
+      });
+    }
+
+    if (action === 'warn') {
+      uploader.warnings.push({ reason: note, file: file._id, by: req.user._id });
+      await uploader.save();
+      await sendWarningEmail(uploader, file, note).catch((mailError) => {
+        console.error('Warning email error:', mailError);
+      });
+    } else {
+      if (uploader.role === 'admin' || (uploader.role === 'moderator' && req.user.role !== 'admin')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied: Only admins can ban moderators, and admins cannot be banned'
+        });
+      }
+
+      uploader.ban = {
+        bannedAt: new Date(),
+        bannedUntil: req.body.days ? new Date(Date.now() + req.body.days * 24 * 60 * 60 * 1000) : null,
+        by: req.user._id,
+        reason: note
+      };
+      await uploader.save();
+      await revokeAllSessions(uploader, 'banned');
+      await sendBanEmail(uploader).catch((mailError) => {
+        console.error('Ban email error:', mailError);
+      });
+    }
+
+    const closed = await resolveReports(file._id, resolution);
+
+    res.json({
+      success: true,
+      message: action === 'warn' ? 'Uploader warned' : 'Uploader banned',
+      data: {
+        action,
+        reportsClosed: closed,
+        uploader: formatUploader(uploader)
+      }
+    });
+  } catch (error) {
+    console.error('Moderation action error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while applying moderation action'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/moderation/users/:id/ban
+ * @desc    Lift a user's ban
+ * @access  Private (moderators of the user's college, admins)
+ */
+router.delete('/users/:id/ban', protect, authorize('moderator', 'admin'), [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!canModerateCollege(req.user, user.college)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You can only manage users of your own college'
+      });
+    }
+
+    if (!user.isBanned) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not banned'
+      });
+    }
+
+    user.ban = { bannedAt: null, bannedUntil: null, by: null, reason: null };
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Ban lifted',
+      data: formatUploader(user)
+    });
+  } catch (error) {
+    console.error('Lift ban error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while lifting ban'
+    });
+  }
+});
+
+module.exports = router;
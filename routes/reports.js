@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, param } = require('express-validator');
+const Report = require('../models/Report');
+const { protect, requireVerified } = require('../middleware/auth');
+const { loadAccessibleFile } = require('../middleware/fileAccess');
+const { refreshOpenReports } = require('../services/moderation');
+
+/**
+ * Reports of inappropriate or copyrighted files (mounted at /api/files/:id/report)
+ *
+ * Reports are reviewed by the college's moderators (see routes/moderation.js).
+ */
+
+/**
+ * @route   POST /api/files/:id/report
+ * @desc    Report a file to the college's moderators (once per user); the file
+ *          is hidden once it reaches the report threshold
+ * @access  Private
+ */
+router.post('/', protect, requireVerified, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid file ID'),
+  body('reason')
+    .isIn(Report.REASONS)
+    .withMessage(`Reason must be one of: ${Report.REASONS.join(', ')}`),
+  body('details')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Details cannot exceed 500 characters'),
+  body('details')
+    .if(body('reason').equals('other'))
+    .notEmpty()
+    .withMessage('Please describe the problem when the reason is other')
+], loadAccessibleFile, async (req, res) => {
+  try {
+    const file = req.targetFile;
+
+    if (file.uploader.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own file'
+      });
+    }
+
+    const report = await Report.create({
+      file: file._id,
+      college: file.college,
+      reporter: req.user._id,
+      reason: req.body.reason,
+      details: req.body.details || ''
+    });
+
+    await refreshOpenReports(file);
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you, the moderators of your college will review this file',
+      data: {
+        _id: report._id,
+        file: report.file,
+        reason: report.reason,
+        details: report.details,
+        status: report.status,
+        createdAt: report.createdAt
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        code: 'ALREADY_REPORTED',
+        message: 'You have already reported this file'
+      });
+    }
+    console.error('Report file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reporting file'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,254 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, param, query } = require('express-validator');
+const Review = require('../models/Review');
+const { protect, requireVerified, canModerateCollege } = require('../middleware/auth');
+const { loadAccessibleFile } = require('../middleware/fileAccess');
+const { refreshFileRatings } = require('../services/reviews');
+
+/**
+ * Ratings, upvotes and short reviews of a file (mounted at /api/files/:id/reviews)
+ *
+ * Each user has at most one review per file, holding any of a 1-5 rating, an
+ * upvote and a text. Aggregates are kept on File.ratings.
+ */
+
+const fileIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid file ID')
+];
+
+/**
+ * Public representation of a review
+ */
+const formatReview = (review) => ({
+  _id: review._id,
+  user: review.user,
+  rating: review.rating,
+  upvote: review.upvote,
+  text: review.text,
+  createdAt: review.createdAt,
+  editedAt: review.editedAt
+});
+
+/**
+ * @route   GET /api/files/:id/reviews
+ * @desc    List the ratings and reviews of a file (newest first) with its
+ *          aggregates and the user's own review
+ * @access  Private
+ */
+router.get('/', protect, [
+  ...fileIdValidation,
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100')
+    .toInt()
+], loadAccessibleFile, async (req, res) => {
+  try {
+    const file = req.targetFile;
+    const limit = req.query.limit || 20;
+    const page = req.query.page || 1;
+
+    // Bare upvotes have nothing to show
+    const filter = {
+      file: file._id,
+      $or: [{ rating: { $ne: null } }, { text: { $gt: '' } }]
+    };
+
+    const [reviews, total, mine] = await Promise.all([
+      Review.find(filter)
+        .populate('user', 'name')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Review.countDocuments(filter),
+      Review.findOne({ file: file._id, user: req.user._id }).lean()
+    ]);
+
+    res.json({
+      success: true,
+      count: reviews.length,
+      summary: file.ratings,
+      mine: mine ? formatReview(mine) : null,
+      pagination: {
+        total,
+        limit,
+        page,
+        totalPages: Math.ceil(total / limit)
+      },
+      data: reviews.map(formatReview)
+    });
+  } catch (error) {
+    console.error('List reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reviews'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/files/:id/reviews/me
+ * @desc    Create or edit the user's rating, upvote and review of a file
+ *          (rating null removes the rating)
+ * @access  Private
+ */
+router.put('/me', protect, requireVerified, [
+  ...fileIdValidation,
+  body('rating')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number between 1 and 5')
+    .toInt(),
+  body('upvote')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('upvote must be true or false'),
+  body('text')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Review cannot exceed 500 characters')
+], loadAccessibleFile, async (req, res) => {
+  try {
+    const file = req.targetFile;
+
+    if (file.uploader.toString() === req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot review your own file'
+      });
+    }
+
+    const review = await Review.findOne({ file: file._id, user: req.user._id })
+      || new Review({ file: file._id, college: file.college, user: req.user._id });
+
+    ['rating', 'upvote', 'text'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        review[field] = req.body[field];
+      }
+    });
+
+    if (review.rating === null && !review.upvote && !review.text) {
+      return res.status(400).json({
+        success: false,
+        message: 'A review needs a rating, an upvote or a text (delete it instead)'
+      });
+    }
+
+    const created = review.isNew;
+    if (!created && review.isModified('text')) {
+      review.editedAt = new Date();
+    }
+    await review.save();
+
+    const summary = await refreshFileRatings(file._id);
+    await review.populate('user', 'name');
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Review added successfully' : 'Review updated successfully',
+      summary,
+      data: formatReview(review)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Your review was saved by another request, please retry'
+      });
+    }
+    console.error('Save review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving review'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/files/:id/reviews/me
+ * @desc    Remove the user's rating, upvote and review of a file
+ * @access  Private
+ */
+router.delete('/me', protect, fileIdValidation, loadAccessibleFile, async (req, res) => {
+  try {
+    const file = req.targetFile;
+    const { deletedCount } = await Review.deleteOne({ file: file._id, user: req.user._id });
+
+    if (deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have not reviewed this file'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully',
+      summary: await refreshFileRatings(file._id)
+    });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting review'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/files/:id/reviews/:reviewId
+ * @desc    Remove a review (its author, college moderators and admins)
+ * @access  Private
+ */
+router.delete('/:reviewId', protect, [
+  ...fileIdValidation,
+  param('reviewId')
+    .isMongoId()
+    .withMessage('Invalid review ID')
+], loadAccessibleFile, async (req, res) => {
+  try {
+    const file = req.targetFile;
+    const review = await Review.findOne({ _id: req.params.reviewId, file: file._id });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (review.user.toString() !== req.user._id.toString() && !canModerateCollege(req.user, file.college)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Only the author or a moderator can delete this review'
+      });
+    }
+
+    await Review.deleteOne({ _id: review._id });
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully',
+      summary: await refreshFileRatings(file._id)
+    });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting review'
+    });
+  }
+});
+
+module.exports = router;
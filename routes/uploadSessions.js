@@ -0,0 +1,549 @@
+const express = require('express');
+const router = express.Router();
+const { pipeline } = require('stream');
+const { body, validationResult, param } = require('express-validator');
+const File = require('../models/File');
+const UploadSession = require('../models/UploadSession');
+const { protect, requireVerified } = require('../middleware/auth');
+const { getStorage } = require('../services/storage');
+const { createHashingStream, releaseBlob, findDuplicate } = require('../services/blobs');
+const { checkFileType, storeUpload, buildNewFile } = require('../services/ingest');
+const { getUploadPolicy, formatFileSize } = require('../services/uploadPolicy');
+const { resolveCourse, unknownCourseError } = require('../services/courseCatalog');
+const { ACADEMIC_FIELDS, academicBodyRules } = require('../utils/academic');
+const { getChunkKey, createAssembledStream, deleteChunks } = require('../services/uploadSessions');
+const { processFile } = require('../services/fileProcessing');
+
+/**
+ * Resumable (chunked) uploads, loosely following the tus protocol:
+ *   POST   /api/uploads               start an upload, returns its id
+ *   PATCH  /api/uploads/:id           append a chunk at Upload-Offset
+ *   GET    /api/uploads/:id           current offset (HEAD works too)
+ *   POST   /api/uploads/:id/complete  assemble, validate and create the File
+ *   DELETE /api/uploads/:id           abort and discard the chunks
+ */
+
+// Largest chunk accepted by PATCH (UPLOAD_CHUNK_MAX_BYTES, default 8MB)
+const getMaxChunkSize = () => parseInt(process.env.UPLOAD_CHUNK_MAX_BYTES) || 8 * 1024 * 1024;
+
+/**
+ * Public representation of an upload session
+ */
+const formatSession = (session) => ({
+  uploadId: session._id,
+  fileName: session.fileName,
+  fileSize: session.fileSize,
+  offset: session.offset,
+  status: session.status,
+  file: session.file,
+  chunkSize: getMaxChunkSize(),
+  expiresAt: session.expiresAt
+});
+
+/**
+ * Load the caller's upload session from req.params.id
+ * Sets req.uploadSession
+ */
+const loadSession = async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const session = await UploadSession.findById(req.params.id);
+
+    if (!session || session.expiresAt < new Date()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found or expired'
+      });
+    }
+
+    if (session.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You can only access your own uploads'
+      });
+    }
+
+    req.uploadSession = session;
+    next();
+  } catch (error) {
+    console.error('Load upload session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching upload'
+    });
+  }
+};
+
+const sessionIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid upload ID')
+];
+
+/**
+ * Discard a session that can no longer complete (chunks and document)
+ */
+const discardSession = async (session) => {
+  await deleteChunks(session);
+  await UploadSession.deleteOne({ _id: session._id });
+};
+
+/**
+ * @route   POST /api/uploads
+ * @desc    Start a resumable upload
+ * @access  Private
+ */
+router.post('/', protect, requireVerified, [
+  body('fileName')
+    .trim()
+    .notEmpty()
+    .withMessage('File name is required')
+    .isLength({ max: 255 })
+    .withMessage('File name cannot exceed 255 characters'),
+  body('fileSize')
+    .isInt({ min: 1 })
+    .withMessage('File size must be a positive number of bytes')
+    .toInt(),
+  body('fileType')
+    .optional()
+    .isString()
+    .withMessage('File type must be a string'),
+  body('semester')
+    .notEmpty()
+    .withMessage('Semester is required')
+    .isIn(['1', '2', '3', '4', '5', '6', '7', '8'])
+    .withMessage('Semester must be between 1 and 8'),
+  body('course')
+    .trim()
+    .notEmpty()
+    .withMessage('Course name is required')
+    .isLength({ max: 100 })
+    .withMessage('Course name cannot exceed 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+  ...academicBodyRules(),
+  body('onDuplicate')
+    .optional()
+    .isIn(['warn', 'reject'])
+    .withMessage('onDuplicate must be warn or reject')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const { fileName, fileSize, fileType, semester, description, onDuplicate } = req.body;
+
+    const activeUploads = await UploadSession.countDocuments({
+      user: req.user._id,
+      status: { $in: ['active', 'completing'] },
+      expiresAt: { $gt: new Date() }
+    });
+    if (activeUploads >= UploadSession.getMaxActivePerUser()) {
+      return res.status(429).json({
+        success: false,
+        code: 'TOO_MANY_UPLOADS',
+        message: `You can have at most ${UploadSession.getMaxActivePerUser()} uploads in progress; complete or abort one first`
+      });
+    }
+
+    const policy = await getUploadPolicy(req.user.college._id);
+
+    // Type and size are checked up front; the content is checked on completion
+    try {
+      checkFileType(policy, { originalname: fileName, mimetype: fileType });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
+
+    if (fileSize > policy.maxFileSize) {
+      return res.status(400).json({
+        success: false,
+        code: 'FILE_TOO_LARGE',
+        message: `File size too large. Maximum size is ${formatFileSize(policy.maxFileSize)}.`
+      });
+    }
+
+    // Colleges with a course catalog only accept its courses
+    const resolved = await resolveCourse(req.user.college._id, req.body.course);
+    if (!resolved) {
+      return res.status(400).json({
+        success: false,
+        ...unknownCourseError(req.body.course)
+      });
+    }
+    const { course, courseRef } = resolved;
+
+    const metadata = { semester, course, courseRef, description: description || '', onDuplicate: onDuplicate || 'warn' };
+    ACADEMIC_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        metadata[field] = req.body[field];
+      }
+    });
+
+    const session = await UploadSession.create({
+      user: req.user._id,
+      college: req.user.college._id,
+      fileName,
+      fileType: fileType || '',
+      fileSize,
+      metadata,
+      expiresAt: new Date(Date.now() + UploadSession.getLifetimeMs())
+    });
+
+    res.location(`${req.baseUrl}/${session._id}`);
+    res.status(201).json({
+      success: true,
+      message: 'Upload started',
+      data: formatSession(session)
+    });
+  } catch (error) {
+    console.error('Start upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting upload'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/uploads/:id
+ * @desc    Get the progress of a resumable upload (Upload-Offset header)
+ * @access  Private
+ */
+router.get('/:id', protect, sessionIdValidation, loadSession, (req, res) => {
+  const session = req.uploadSession;
+
+  res.set({
+    'Upload-Offset': session.offset,
+    'Upload-Length': session.fileSize,
+    'Cache-Control': 'no-store'
+  });
+  res.json({
+    success: true,
+    data: formatSession(session)
+  });
+});
+
+/**
+ * @route   PATCH /api/uploads/:id
+ * @desc    Append a chunk; Upload-Offset must equal the bytes received so far
+ *          (body: application/offset+octet-stream)
+ * @access  Private
+ */
+router.patch('/:id', protect, requireVerified, sessionIdValidation, loadSession, async (req, res) => {
+  const session = req.uploadSession;
+
+  if (!req.is('application/offset+octet-stream') && !req.is('application/octet-stream')) {
+    return res.status(415).json({
+      success: false,
+      message: 'Chunks must be sent as application/offset+octet-stream'
+    });
+  }
+
+  const offsetHeader = req.get('Upload-Offset') || '';
+  if (!/^\d+$/.test(offsetHeader)) {
+    return res.status(400).json({
+      success: false,
+      code: 'INVALID_OFFSET',
+      message: 'A valid Upload-Offset header is required'
+    });
+  }
+  const offset = parseInt(offsetHeader, 10);
+
+  if (session.status !== 'active') {
+    return res.status(409).json({
+      success: false,
+      code: 'UPLOAD_NOT_ACTIVE',
+      message: 'This upload no longer accepts chunks'
+    });
+  }
+
+  if (offset !== session.offset) {
+    res.set('Upload-Offset', session.offset);
+    return res.status(409).json({
+      success: false,
+      code: 'OFFSET_MISMATCH',
+      message: `Expected a chunk at offset ${session.offset}`,
+      offset: session.offset
+    });
+  }
+
+  const maxBytes = Math.min(getMaxChunkSize(), session.fileSize - offset);
+  if (maxBytes === 0 || Number(req.get('Content-Length')) > maxBytes) {
+    return res.status(413).json({
+      success: false,
+      code: 'CHUNK_TOO_LARGE',
+      message: `Chunks may be at most ${formatFileSize(maxBytes)} here`
+    });
+  }
+
+  const storage = getStorage();
+  const key = getChunkKey(session._id, offset);
+
+  try {
+    const counting = createHashingStream({ maxBytes });
+    // Errors (size limit, client disconnect) reach us through storage.put()
+    counting.on('error', () => {});
+
+    try {
+      await storage.put(key, pipeline(req, counting, () => {}), { contentType: 'application/octet-stream' });
+    } catch (error) {
+      await storage.delete(key).catch(() => {});
+      if (error.code === 'FILE_TOO_LARGE') {
+        return res.status(413).json({
+          success: false,
+          code: 'CHUNK_TOO_LARGE',
+          message: `Chunks may be at most ${formatFileSize(maxBytes)} here`
+        });
+      }
+      throw error;
+    }
+
+    if (counting.size === 0) {
+      await storage.delete(key).catch(() => {});
+      return res.status(400).json({
+        success: false,
+        message: 'The chunk is empty'
+      });
+    }
+
+    // Only succeeds if no other chunk was appended in the meantime
+    const updated = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: 'active', offset },
+      {
+        $inc: { offset: counting.size },
+        $push: { chunks: { key, offset, size: counting.size } },
+        $set: { expiresAt: new Date(Date.now() + UploadSession.getLifetimeMs()) }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      await storage.delete(key).catch(() => {});
+      return res.status(409).json({
+        success: false,
+        code: 'OFFSET_MISMATCH',
+        message: 'Another chunk was uploaded at the same time, check the offset and retry'
+      });
+    }
+
+    res.set('Upload-Offset', updated.offset);
+    res.json({
+      success: true,
+      data: formatSession(updated)
+    });
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while uploading chunk'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/uploads/:id/complete
+ * @desc    Assemble the chunks, validate the file and create the File record
+ * @access  Private
+ */
+router.post('/:id/complete', protect, requireVerified, sessionIdValidation, loadSession, async (req, res) => {
+  let session = req.uploadSession;
+  let claimed = false;
+  let stored = null;
+
+  try {
+    // Completing twice returns the same file
+    if (session.status === 'completed') {
+      const file = await File.findById(session.file)
+        .populate('uploader', 'name email')
+        .populate('college', 'name');
+      return res.json({
+        success: true,
+        message: 'File uploaded successfully',
+        data: file
+      });
+    }
+
+    if (session.offset !== session.fileSize) {
+      return res.status(409).json({
+        success: false,
+        code: 'UPLOAD_INCOMPLETE',
+        message: `Only ${session.offset} of ${session.fileSize} bytes have been received`,
+        offset: session.offset
+      });
+    }
+
+    // A completion interrupted long ago (e.g. by a restart) can be retried
+    session = await UploadSession.findOneAndUpdate(
+      {
+        _id: session._id,
+        offset: session.fileSize,
+        $or: [
+          { status: 'active' },
+          { status: 'completing', completingAt: { $not: { $gt: UploadSession.getCompletionCutoff() } } }
+        ]
+      },
+      {
+        $set: {
+          status: 'completing',
+          completingAt: new Date(),
+          expiresAt: new Date(Date.now() + UploadSession.getLifetimeMs())
+        }
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      return res.status(409).json({
+        success: false,
+        code: 'UPLOAD_NOT_ACTIVE',
+        message: 'This upload is already being completed'
+      });
+    }
+    claimed = true;
+
+    const policy = await getUploadPolicy(session.college);
+
+    try {
+      stored = await storeUpload(createAssembledStream(session), {
+        originalname: session.fileName,
+        mimetype: session.fileType
+      }, policy);
+    } catch (error) {
+      if (error.status !== 400) {
+        throw error;
+      }
+      // Rejected content cannot be fixed by resuming; start over
+      await discardSession(session);
+      return res.status(400).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
+
+    if (stored.size !== session.fileSize) {
+      await releaseBlob(stored.storageKey);
+      await discardSession(session);
+      return res.status(400).json({
+        success: false,
+        code: 'SIZE_MISMATCH',
+        message: 'The assembled file does not have the announced size'
+      });
+    }
+
+    // Same content already shared in this college?
+    const duplicate = await findDuplicate(session.college, stored.checksum, req.user);
+    if (duplicate && session.metadata.onDuplicate === 'reject') {
+      await releaseBlob(stored.storageKey);
+      await discardSession(session);
+      return res.status(409).json({
+        success: false,
+        code: 'DUPLICATE_FILE',
+        message: 'This file has already been uploaded to your college',
+        duplicateOf: duplicate
+      });
+    }
+
+    const file = await File.create(buildNewFile(req.user, {
+      ...stored,
+      originalname: session.fileName
+    }, session.metadata));
+    stored = null;
+
+    // Background processing (scan, text extraction, previews) as for any upload
+    processFile(file);
+
+    await deleteChunks(session);
+    await UploadSession.updateOne(
+      { _id: session._id },
+      { $set: { status: 'completed', file: file._id, chunks: [] } }
+    );
+
+    await file.populate('uploader', 'name email');
+    await file.populate('college', 'name');
+
+    const response = {
+      success: true,
+      message: 'File uploaded successfully',
+      data: file
+    };
+    if (duplicate) {
+      response.warning = 'The same file has already been uploaded to your college';
+      response.duplicateOf = duplicate;
+    }
+
+    res.status(201).json(response);
+  } catch (error) {
+    console.error('Complete upload error:', error);
+    if (stored) {
+      await releaseBlob(stored.storageKey).catch(() => {});
+    }
+    if (claimed) {
+      // The chunks are kept so completing can be retried
+      await UploadSession.updateOne(
+        { _id: session._id, status: 'completing' },
+        { $set: { status: 'active' } }
+      ).catch(() => {});
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while completing upload'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/uploads/:id
+ * @desc    Abort a resumable upload and discard its chunks
+ * @access  Private
+ */
+router.delete('/:id', protect, sessionIdValidation, loadSession, async (req, res) => {
+  const session = req.uploadSession;
+
+  if (session.isCompleting()) {
+    return res.status(409).json({
+      success: false,
+      code: 'UPLOAD_NOT_ACTIVE',
+      message: 'This upload is being completed and cannot be aborted'
+    });
+  }
+
+  try {
+    await discardSession(session);
+
+    res.json({
+      success: true,
+      message: 'Upload aborted'
+    });
+  } catch (error) {
+    console.error('Abort upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while aborting upload'
+    });
+  }
+});
+
+module.exports = router;
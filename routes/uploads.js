@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const mime = require('mime-types');
+const File = require('../models/File');
+const { getStorage } = require('../services/storage');
+const { sendStoredFile } = require('../utils/fileResponse');
+const { protect, requireVerified } = require('../middleware/auth');
+
+/**
+ * Middleware to let requests with a valid signed URL through (local driver),
+ * and require authentication with a verified email from all others
+ * Sets req.signedUpload when the signature was verified
+ */
+const requireSignatureOrAuth = (req, res, next) => {
+  const storage = getStorage();
+
+  if (req.query.signature) {
+    if (!storage.verifySignedUrl || !storage.verifySignedUrl(req.params[0], req.query.expires, req.query.signature)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or expired link'
+      });
+    }
+    req.signedUpload = true;
+    return next();
+  }
+
+  return protect(req, res, () => requireVerified(req, res, next));
+};
+
+/**
+ * @route   GET /uploads/:key
+ * @desc    Serve a stored object through the configured storage driver
+ *          (local disk streams the file, S3 redirects to a pre-signed URL)
+ * @access  Signed URL (local driver), or Private, verified (files of the user's college)
+ *
+ * Only content that passed its malware scan and whose file is not hidden is
+ * served; quarantined, pending, hidden and unknown keys are reported as not found.
+ */
+router.get('/*', requireSignatureOrAuth, async (req, res) => {
+  try {
+    const key = req.params[0];
+    const storage = getStorage();
+
+    // CRITICAL: Without a signed URL, only files from user's college
+    const scope = { 'moderation.hidden': { $ne: true } };
+    if (!req.signedUpload) {
+      scope.college = req.user.college._id;
+    }
+
+    const isClean = key && await File.exists({
+      $or: [
+        { ...scope, storageKey: key, 'scan.status': 'clean' },
+        { ...scope, storageKey: null, fileUrl: `/uploads/${encodeURIComponent(key)}`, 'scan.status': 'clean' },
+        { ...scope, versions: { $elemMatch: { storageKey: key, scanStatus: 'clean' } } }
+      ]
+    });
+
+    if (!isClean) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    if (storage.name !== 'local') {
+      return res.redirect(await storage.getSignedUrl(key));
+    }
+
+    await sendStoredFile(req, res, {
+      storageKey: key,
+      fileName: path.basename(key),
+      fileType: mime.lookup(key) || 'application/octet-stream'
+    }, { inline: true });
+  } catch (error) {
+    if (error.message && error.message.startsWith('Invalid storage key')) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+    console.error('Serve upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while serving file'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,28 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { cleanupStaleUploads } = require('../services/uploadSessions');
+const { releasePendingBlobs } = require('../services/blobs');
+
+// Remove expired resumable uploads and their stored chunks, and unreferenced
+// blobs past their grace period. The server does this hourly; run it manually
+// (or from cron) when the server is not running.
+const cleanupUploads = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('MongoDB Connected...');
+
+    const removed = await cleanupStaleUploads();
+
+    console.log(`✓ Removed ${removed} expired uploads`);
+
+    const released = await releasePendingBlobs();
+
+    console.log(`✓ Processed ${released} pending blob releases`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error cleaning up uploads:', error);
+    process.exit(1);
+  }
+};
+
+cleanupUploads();
@@ -0,0 +1,77 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const Course = require('../models/Course');
+const College = require('../models/College');
+const { resolveCourse } = require('../services/courseCatalog');
+
+// Map the free-text course of existing files to their college's catalog:
+// files whose course matches an entry's code, name or alias (ignoring case
+// and extra whitespace) get its canonical name and a courseRef. Courses that
+// match nothing are listed so they can be added to the catalog (or as aliases)
+// before running again. Safe to run repeatedly.
+// Pass --dry-run to only report what would change.
+const mapCourses = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('MongoDB Connected...');
+
+    const dryRun = process.argv.includes('--dry-run');
+    const collegeIds = await Course.distinct('college');
+    const colleges = await College.find({ _id: { $in: collegeIds } }, 'name');
+    console.log(`Mapping courses for ${colleges.length} colleges with a catalog${dryRun ? ' (dry run)' : ''}...`);
+
+    for (const college of colleges) {
+      console.log(`\n${college.name}`);
+
+      const courses = await File.distinct('course', { college: college._id, courseRef: null });
+      const unmapped = [];
+
+      for (const course of courses) {
+        const filter = { college: college._id, course, courseRef: null };
+        const resolved = await resolveCourse(college._id, course);
+
+        if (!resolved) {
+          unmapped.push(`  ✗ "${course}" (${await File.countDocuments(filter)} files)`);
+          continue;
+        }
+
+        if (dryRun) {
+          console.log(`  ✓ "${course}" → ${resolved.course} (${await File.countDocuments(filter)} files)`);
+          continue;
+        }
+
+        const result = await File.updateMany(filter, {
+          $set: { course: resolved.course, courseRef: resolved.courseRef }
+        });
+        console.log(`  ✓ "${course}" → ${resolved.course} (${result.modifiedCount} files)`);
+      }
+
+      if (unmapped.length > 0) {
+        console.log(`  ${unmapped.length} courses not in the catalog:`);
+        unmapped.forEach(line => console.log(line));
+      }
+    }
+
+    if (!dryRun) {
+      // Catalog departments are stored like those of users and files
+      const departments = await Course.updateMany(
+        { department: /[a-z]|^\s|\s$/ },
+        [{ $set: { department: { $toUpper: { $trim: { input: '$department' } } } } }]
+      );
+      console.log(`\n✓ Department normalized on ${departments.modifiedCount} courses`);
+
+      await File.syncIndexes();
+      await Course.syncIndexes();
+      console.log('\n✓ Indexes synchronized');
+    }
+
+    console.log('\nCourse mapping completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error mapping courses:', error);
+    process.exit(1);
+  }
+};
+
+mapCourses();
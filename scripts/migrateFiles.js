@@ -0,0 +1,62 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const User = require('../models/User');
+
+// Backfill fields added to the File model after files were already uploaded,
+// so that sorting and cursor pagination see a value on every document.
+// Safe to run repeatedly.
+const migrateFiles = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('MongoDB Connected...');
+
+    const downloadCount = await File.updateMany(
+      { downloadCount: { $exists: false } },
+      { $set: { downloadCount: 0 } }
+    );
+    console.log(`✓ downloadCount backfilled on ${downloadCount.modifiedCount} files`);
+
+    const viewCount = await File.updateMany(
+      { viewCount: { $exists: false } },
+      { $set: { viewCount: 0 } }
+    );
+    console.log(`✓ viewCount backfilled on ${viewCount.modifiedCount} files`);
+
+    const ratings = await File.updateMany(
+      { ratings: { $exists: false } },
+      { $set: { ratings: { average: 0, count: 0, upvotes: 0, reviews: 0, score: 0 } } }
+    );
+    console.log(`✓ ratings backfilled on ${ratings.modifiedCount} files`);
+
+    const currentVersion = await File.updateMany(
+      { currentVersion: { $exists: false } },
+      { $set: { currentVersion: 1 } }
+    );
+    console.log(`✓ currentVersion backfilled on ${currentVersion.modifiedCount} files`);
+
+    // Denormalize uploader names for full-text search
+    const missingNames = await File.distinct('uploader', { uploaderName: { $in: [null, ''] } });
+    const uploaders = await User.find({ _id: { $in: missingNames } }, 'name');
+    for (const uploader of uploaders) {
+      await File.updateMany(
+        { uploader: uploader._id, uploaderName: { $in: [null, ''] } },
+        { $set: { uploaderName: uploader.name } }
+      );
+    }
+    console.log(`✓ uploaderName backfilled for ${uploaders.length} uploaders`);
+
+    // Create indexes declared on the schema (and drop outdated ones such as
+    // the previous fileName/description text index)
+    await File.syncIndexes();
+    console.log('✓ File indexes synchronized');
+
+    console.log('\nMigration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating files:', error);
+    process.exit(1);
+  }
+};
+
+migrateFiles();
@@ -0,0 +1,120 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const { extractFileText, generateFilePreviews } = require('../services/fileProcessing');
+const { scanFile, scanContent, isQuarantined } = require('../services/fileScanning');
+const { getStorage } = require('../services/storage');
+const { createHashingStream } = require('../services/blobs');
+const { pipeline } = require('stream/promises');
+const { Writable } = require('stream');
+
+// Compute the SHA-256 of a stored blob
+const computeChecksum = async (storageKey) => {
+  const hashing = createHashingStream();
+  await pipeline(
+    await getStorage().getStream(storageKey),
+    hashing,
+    new Writable({ write: (chunk, encoding, callback) => callback() })
+  );
+  return hashing.digest();
+};
+
+// Run background processing for files that never went through it (uploaded
+// before the pipeline existed, or whose job was lost in a restart), and
+// record checksums of files uploaded before deduplication. Files (and older
+// versions) that were never scanned for malware stay undownloadable until this
+// has run.
+// Pass --retry-failed to also retry failed extractions, previews and scans.
+const processExistingFiles = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('MongoDB Connected...');
+
+    const statuses = process.argv.includes('--retry-failed') ? ['pending', 'failed', 'error'] : ['pending'];
+    const needing = (field) => ({
+      $or: [
+        { [field]: { $in: statuses } },
+        { [field]: { $exists: false } }
+      ]
+    });
+
+    // Files uploaded before checksums existed keep their blob key; only the
+    // checksum is recorded so duplicates and corruption can be detected
+    const unhashedFiles = await File.find({ checksum: null });
+    console.log(`Computing checksums for ${unhashedFiles.length} files...`);
+    for (const file of unhashedFiles) {
+      try {
+        const checksum = await computeChecksum(file.getStorageKey());
+        const update = { checksum };
+        if (file.versions.length > 0) {
+          update['versions.$[current].checksum'] = checksum;
+        }
+        await File.updateOne(
+          { _id: file._id },
+          { $set: update },
+          file.versions.length > 0 ? { arrayFilters: [{ 'current.version': file.currentVersion }] } : {}
+        );
+        console.log(`  ✓ ${file.fileName}`);
+      } catch (error) {
+        console.error(`  ✗ ${file.fileName}: ${error.message}`);
+      }
+    }
+
+    const scanFiles = await File.find(needing('scan.status'), '_id fileName');
+    console.log(`Scanning ${scanFiles.length} files for malware...`);
+    for (const file of scanFiles) {
+      await scanFile(file._id);
+      const { scan } = await File.findById(file._id, 'scan');
+      console.log(`  ${scan.status === 'clean' ? '✓' : '✗'} ${file.fileName}: ${scan.status}`);
+    }
+
+    // Earlier versions are scanned by content, shared blobs only once
+    const versionedFiles = await File.find({
+      versions: {
+        $elemMatch: {
+          $or: [{ scanStatus: { $in: statuses } }, { scanStatus: { $exists: false } }]
+        }
+      }
+    }, 'fileName versions');
+    const scannedKeys = new Set();
+    console.log(`Scanning earlier versions of ${versionedFiles.length} files...`);
+    for (const file of versionedFiles) {
+      for (const version of file.versions) {
+        const key = version.storageKey;
+        if (version.scanStatus === 'clean' || isQuarantined(key) || scannedKeys.has(key)) {
+          continue;
+        }
+        scannedKeys.add(key);
+        try {
+          const status = await scanContent(key);
+          console.log(`  ${status === 'clean' ? '✓' : '✗'} ${file.fileName} v${version.version}: ${status}`);
+        } catch (error) {
+          console.error(`  ✗ ${file.fileName} v${version.version}: ${error.message}`);
+        }
+      }
+    }
+
+    // Only content that passed its malware scan is parsed
+    const extractionFiles = await File.find({ ...needing('extraction.status'), 'scan.status': 'clean' }, '_id fileName');
+    console.log(`Extracting text from ${extractionFiles.length} files...`);
+    for (const file of extractionFiles) {
+      await extractFileText(file._id);
+      console.log(`  ✓ ${file.fileName}`);
+    }
+
+    const previewFiles = await File.find({ ...needing('preview.status'), 'scan.status': 'clean' }, '_id fileName');
+    console.log(`Generating previews for ${previewFiles.length} files...`);
+    for (const file of previewFiles) {
+      await generateFilePreviews(file._id);
+      console.log(`  ✓ ${file.fileName}`);
+    }
+
+    console.log('\nProcessing completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error processing files:', error);
+    process.exit(1);
+  }
+};
+
+processExistingFiles();
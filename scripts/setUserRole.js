@@ -0,0 +1,38 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+// Usage: npm run set-role -- <email> <student|moderator|admin>
+const [email, role] = process.argv.slice(2);
+
+// Promote or demote a user (used to bootstrap the first platform admin)
+const setUserRole = async () => {
+  if (!email || !['student', 'moderator', 'admin'].includes(role)) {
+    console.error('Usage: npm run set-role -- <email> <student|moderator|admin>');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('MongoDB Connected...');
+
+    const user = await User.findOneAndUpdate(
+      { email: email.toLowerCase() },
+      { role },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      console.error(`User not found: ${email}`);
+      process.exit(1);
+    }
+
+    console.log(`✓ ${user.email} is now ${user.role}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    process.exit(1);
+  }
+};
+
+setUserRole();
@@ -0,0 +1,25 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+// Accounts created before email verification existed have no isVerified
+// field; mark them verified once so they are not locked out of uploads.
+const verifyExistingUsers = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('MongoDB Connected...');
+
+    const result = await User.updateMany(
+      { isVerified: { $exists: false } },
+      { isVerified: true, emailVerifiedAt: new Date() }
+    );
+
+    console.log(`✓ Marked ${result.modifiedCount} existing users as verified`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error verifying existing users:', error);
+    process.exit(1);
+  }
+};
+
+verifyExistingUsers();
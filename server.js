@@ -1,12 +1,22 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const path = require('path');
 const connectDB = require('./config/db');
+const { MAX_UPLOAD_SIZE } = require('./services/fileTypes');
+const { formatFileSize } = require('./services/uploadPolicy');
+const { cleanupStaleUploads } = require('./services/uploadSessions');
+const { releasePendingBlobs } = require('./services/blobs');
 
 // Initialize Express app
 const app = express();
 
+// Behind a reverse proxy, trust X-Forwarded-For so rate limits see the client IP
+// (TRUST_PROXY=true, a hop count such as 1, or a list of proxy addresses)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : isNaN(trustProxy) ? trustProxy : parseInt(trustProxy));
+}
+
 // Connect to MongoDB
 connectDB();
 
@@ -19,23 +29,42 @@ app.use(cors({
     'https://docdom-4uqb.vercel.app' // Preview/Env frontend
   ],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: [
+    'Content-Type', 'Authorization', 'X-Requested-With', 'Range', 'If-Range', 'If-None-Match', 'If-Modified-Since',
+    'Upload-Offset'
+  ],
+  exposedHeaders: [
+    'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset',
+    'Content-Disposition', 'Content-Range', 'Accept-Ranges', 'ETag', 'Last-Modified',
+    'Location', 'Upload-Offset', 'Upload-Length'
+  ]
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Static folder for uploaded files (temporary, will be replaced with S3/GCS)
-const staticUploadPath = process.env.UPLOAD_PATH
-  ? path.isAbsolute(process.env.UPLOAD_PATH)
-    ? process.env.UPLOAD_PATH
-    : path.join(__dirname, process.env.UPLOAD_PATH)
-  : path.join(__dirname, 'uploads');
-app.use('/uploads', express.static(staticUploadPath));
+// Uploaded files, served through the configured storage driver (local disk or S3)
+app.use('/uploads', require('./routes/uploads'));
 
 // API Routes
 app.use('/api', require('./routes/auth'));
 app.use('/api/files', require('./routes/files'));
+app.use('/api/files/:id/reviews', require('./routes/reviews'));
+app.use('/api/files/:id/comments', require('./routes/comments'));
+app.use('/api/files/:id/report', require('./routes/reports'));
+app.use('/api/uploads', require('./routes/uploadSessions'));
+app.use('/api/courses', require('./routes/courses'));
+app.use('/api/bookmarks', require('./routes/bookmarks'));
+app.use('/api/collections', require('./routes/collections'));
+app.use('/api/analytics', require('./routes/analytics'));
+app.use('/api/moderation', require('./routes/moderation'));
+
+// Remove expired resumable uploads and their chunks, and unreferenced blobs
+// past their grace period, every hour
+setInterval(() => {
+  cleanupStaleUploads().catch(error => console.error('Upload cleanup error:', error));
+  releasePendingBlobs().catch(error => console.error('Blob release error:', error));
+}, 60 * 60 * 1000).unref();
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -57,12 +86,52 @@ app.get('/', (req, res) => {
         colleges: 'GET /api/colleges',
         register: 'POST /api/register',
         login: 'POST /api/login',
-        profile: 'GET /api/user/me (JWT Required)'
+        profile: 'GET /api/user/me (JWT Required)',
+        updateProfile: 'PUT /api/user/profile (JWT Required)'
       },
       files: {
         upload: 'POST /api/files/upload (JWT Required)',
+        bulkUpload: 'POST /api/files/bulk (JWT Required)',
+        resumableUpload: 'POST /api/uploads, PATCH /api/uploads/:id, POST /api/uploads/:id/complete (JWT Required)',
         list: 'GET /api/files (JWT Required)',
-        get: 'GET /api/files/:id (JWT Required)'
+        get: 'GET /api/files/:id (JWT Required)',
+        update: 'PUT /api/files/:id (JWT Required)',
+        delete: 'DELETE /api/files/:id (JWT Required)',
+        download: 'GET /api/files/:id/download (JWT Required)',
+        stats: 'GET /api/files/:id/stats (JWT Required)',
+        trending: 'GET /api/files/trending (JWT Required)',
+        reviews: 'GET /api/files/:id/reviews, PUT/DELETE /api/files/:id/reviews/me (JWT Required)',
+        comments: 'GET/POST /api/files/:id/comments (JWT Required)',
+        report: 'POST /api/files/:id/report (JWT Required)'
+      },
+      bookmarks: {
+        list: 'GET /api/bookmarks (JWT Required)',
+        add: 'PUT /api/bookmarks/:fileId (JWT Required)',
+        remove: 'DELETE /api/bookmarks/:fileId (JWT Required)'
+      },
+      collections: {
+        list: 'GET /api/collections (JWT Required)',
+        create: 'POST /api/collections (JWT Required)',
+        get: 'GET /api/collections/:id (JWT Required)',
+        update: 'PUT /api/collections/:id (JWT Required)',
+        delete: 'DELETE /api/collections/:id (JWT Required)',
+        addFile: 'PUT /api/collections/:id/files/:fileId (JWT Required)',
+        removeFile: 'DELETE /api/collections/:id/files/:fileId (JWT Required)'
+      },
+      courses: {
+        list: 'GET /api/courses (JWT Required)',
+        create: 'POST /api/courses (Moderator/Admin)',
+        update: 'PUT /api/courses/:id (Moderator/Admin)',
+        delete: 'DELETE /api/courses/:id (Moderator/Admin)'
+      },
+      analytics: {
+        college: 'GET /api/analytics/college (Moderator/Admin)'
+      },
+      moderation: {
+        queue: 'GET /api/moderation/queue (Moderator/Admin)',
+        reports: 'GET /api/moderation/files/:id/reports (Moderator/Admin)',
+        action: 'POST /api/moderation/files/:id/actions (Moderator/Admin)',
+        liftBan: 'DELETE /api/moderation/users/:id/ban (Moderator/Admin)'
       }
     }
   });
@@ -85,7 +154,7 @@ app.use((err, req, res, next) => {
     if (err.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         success: false,
-        message: 'File size too large. Maximum size is 10MB.'
+        message: `File size too large. Maximum size is ${formatFileSize(MAX_UPLOAD_SIZE)}.`
       });
     }
     return res.status(400).json({
@@ -94,10 +163,11 @@ app.use((err, req, res, next) => {
     });
   }
 
-  // Custom file type error from multer config
-  if (err.message && err.message.includes('Invalid file type')) {
+  // Upload rejections from the multer config (type, content and size checks)
+  if (err.status === 400 && typeof err.code === 'string') {
     return res.status(400).json({
       success: false,
+      code: err.code,
       message: err.message
     });
   }
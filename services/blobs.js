@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const path = require('path');
+const { Transform } = require('stream');
+const File = require('../models/File');
+const BlobRelease = require('../models/BlobRelease');
+const { canModerateCollege } = require('../middleware/auth');
+const { getStorage, readObject } = require('./storage');
+const { HEAD_BYTES, uploadError } = require('./fileTypes');
+const { formatFileSize } = require('./uploadPolicy');
+
+/**
+ * Content-addressed blob storage
+ *
+ * Uploads are streamed to a temporary key while their SHA-256 is computed,
+ * then moved to blobs/<hash prefix>/<sha256><ext>. Identical content is stored
+ * once and shared by every File (and version) that references it, so blobs
+ * must be released with releaseBlob() rather than deleted directly.
+ */
+
+// Uploads reference their blob only once the File is saved, which can be
+// minutes after it was stored (bulk uploads); recently stored blobs are kept
+const BLOB_RELEASE_GRACE_MS = 60 * 60 * 1000;
+
+/**
+ * Transform that computes the SHA-256 and size of everything passing through
+ * @param {Object} options - { maxBytes } fails the stream once more data arrives,
+ *   { headBytes } keeps that many leading bytes in stream.head
+ */
+const createHashingStream = ({ maxBytes = Infinity, headBytes = 0 } = {}) => {
+  const hash = crypto.createHash('sha256');
+  const headChunks = [];
+  let headSize = 0;
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      stream.size += chunk.length;
+      if (stream.size > maxBytes) {
+        return callback(uploadError(
+          'FILE_TOO_LARGE',
+          `File size too large. Maximum size is ${formatFileSize(maxBytes)}.`
+        ));
+      }
+
+      if (headSize < headBytes) {
+        headChunks.push(chunk.subarray(0, headBytes - headSize));
+        headSize += Math.min(chunk.length, headBytes - headSize);
+      }
+
+      hash.update(chunk);
+      callback(null, chunk);
+    }
+  });
+  stream.size = 0;
+  stream.digest = () => hash.digest('hex');
+  stream.getHead = () => Buffer.concat(headChunks);
+  return stream;
+};
+
+/**
+ * Storage key for content with a given checksum
+ */
+const getBlobKey = (checksum, originalname) => {
+  const ext = path.extname(originalname || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+  return `blobs/${checksum.slice(0, 2)}/${checksum}${ext}`;
+};
+
+/**
+ * Store uploaded content, reusing an existing blob when the content is known
+ * @param {Readable} source - Upload stream
+ * @param {Object} file - { originalname, mimetype }
+ * @param {Object} options - { maxBytes } size limit; { validate } async check of
+ *   the stored content ({ head, size, readContent }) run before it becomes a blob
+ * @returns {Promise<{ storageKey: string, checksum: string, size: number }>}
+ */
+const storeBlob = async (source, { originalname, mimetype }, { maxBytes, validate } = {}) => {
+  const storage = getStorage();
+  const tempKey = `tmp/${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
+  const hashing = createHashingStream({ maxBytes, headBytes: HEAD_BYTES });
+
+  source.on('error', error => hashing.destroy(error));
+  // Size-limit errors can fire before the driver starts consuming the stream;
+  // they still reach the caller through storage.put()
+  hashing.on('error', () => {});
+
+  try {
+    await storage.put(tempKey, source.pipe(hashing), { contentType: mimetype });
+
+    if (validate) {
+      await validate({
+        head: hashing.getHead(),
+        size: hashing.size,
+        readContent: () => readObject(tempKey, { maxBytes: hashing.size })
+      });
+    }
+  } catch (error) {
+    source.unpipe(hashing);
+    await storage.delete(tempKey).catch(() => {});
+    throw error;
+  }
+
+  const checksum = hashing.digest();
+  const storageKey = getBlobKey(checksum, originalname);
+
+  try {
+    // Overwriting an existing blob (same content) refreshes its lastModified,
+    // so a concurrent releaseBlob() keeps it until this upload is saved
+    await storage.move(tempKey, storageKey);
+  } catch (error) {
+    await storage.delete(tempKey).catch(() => {});
+    throw error;
+  }
+
+  return { storageKey, checksum, size: hashing.size };
+};
+
+/**
+ * Delete a blob unless another File or version still references it
+ *
+ * Blobs stored within BLOB_RELEASE_GRACE_MS may belong to an upload that is
+ * not saved yet; they are recorded as a BlobRelease and checked again by
+ * releasePendingBlobs() once the grace period is over.
+ * @param {string} storageKey - Blob key
+ */
+const releaseBlob = async (storageKey) => {
+  if (!storageKey) {
+    return;
+  }
+
+  const inUse = await File.exists({
+    $or: [{ storageKey }, { 'versions.storageKey': storageKey }]
+  });
+  if (inUse) {
+    return;
+  }
+
+  const storage = getStorage();
+  const stats = await storage.stat(storageKey);
+  if (!stats) {
+    return;
+  }
+
+  const releaseAfter = new Date(new Date(stats.lastModified).getTime() + BLOB_RELEASE_GRACE_MS);
+  if (releaseAfter > Date.now()) {
+    await BlobRelease.updateOne(
+      { storageKey },
+      { $max: { releaseAfter } },
+      { upsert: true }
+    );
+    return;
+  }
+
+  await storage.delete(storageKey);
+};
+
+/**
+ * Release the blobs whose grace period is over
+ * @returns {Promise<number>} Number of pending releases processed
+ */
+const releasePendingBlobs = async () => {
+  const releases = await BlobRelease.find({ releaseAfter: { $lte: new Date() } });
+
+  for (const release of releases) {
+    try {
+      await releaseBlob(release.storageKey);
+      // A blob stored again meanwhile has a later releaseAfter and stays pending
+      await BlobRelease.deleteOne({ _id: release._id, releaseAfter: release.releaseAfter });
+    } catch (error) {
+      console.error(`Release blob ${release.storageKey} error:`, error.message);
+    }
+  }
+
+  return releases.length;
+};
+
+/**
+ * Find a file of the college whose content (any version) has this checksum
+ * Hidden files only match for their uploader and the college's moderators.
+ * @param {string} collegeId - College ID
+ * @param {string} checksum - SHA-256 hex digest
+ * @param {Object} user - User uploading the content
+ * @param {string} excludeId - File ID to ignore (e.g. the file being versioned)
+ */
+const findDuplicate = (collegeId, checksum, user, excludeId) => {
+  const filter = {
+    college: collegeId,
+    $or: [{ checksum }, { 'versions.checksum': checksum }]
+  };
+  if (!canModerateCollege(user, collegeId)) {
+    filter.$and = [{ $or: [{ 'moderation.hidden': { $ne: true } }, { uploader: user._id }] }];
+  }
+  if (excludeId) {
+    filter._id = { $ne: excludeId };
+  }
+
+  return File.findOne(filter, 'fileName semester course uploader uploadDate')
+    .populate('uploader', 'name');
+};
+
+module.exports = { createHashingStream, storeBlob, releaseBlob, releasePendingBlobs, findDuplicate };
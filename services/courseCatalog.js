@@ -0,0 +1,60 @@
+const Course = require('../models/Course');
+
+/**
+ * Per-college course catalog
+ *
+ * Colleges that have catalog entries only accept uploads for those courses:
+ * the course given by the uploader is matched against each entry's code, name
+ * and aliases (case and whitespace insensitive) and stored under its canonical
+ * name with a reference to the entry. Colleges without a catalog keep free-text
+ * courses.
+ */
+
+/**
+ * Resolve a course name, code or alias against a college's catalog
+ * @param {string} collegeId - College ID
+ * @param {string} input - Course given by the user
+ * @returns {Promise<{ course: string, courseRef: Object|null }|null>}
+ *          null when the college has a catalog and nothing in it matches
+ */
+const resolveCourse = async (collegeId, input) => {
+  const match = await Course.findOne({
+    college: collegeId,
+    searchKeys: Course.normalizeKey(input)
+  }, 'name').lean();
+
+  if (match) {
+    return { course: match.name, courseRef: match._id };
+  }
+
+  if (await Course.exists({ college: collegeId })) {
+    return null;
+  }
+
+  return { course: input, courseRef: null };
+};
+
+/**
+ * Response body for a course missing from the catalog
+ */
+const unknownCourseError = (input) => ({
+  code: 'UNKNOWN_COURSE',
+  message: `Unknown course "${input}". Choose a course from your college's catalog (GET /api/courses).`
+});
+
+/**
+ * Catalog entries of a college sharing a code, name or alias with a course
+ * (these would make matching ambiguous)
+ * @param {Object} course - Course document (searchKeys are recomputed)
+ * @returns {Promise<Object[]>}
+ */
+const findConflictingCourses = async (course) => {
+  await course.validate();
+  return Course.find({
+    college: course.college,
+    _id: { $ne: course._id },
+    searchKeys: { $in: course.searchKeys }
+  }, 'code name').lean();
+};
+
+module.exports = { resolveCourse, unknownCourseError, findConflictingCourses };
@@ -0,0 +1,165 @@
+const { sendMail } = require('./mailer');
+
+/**
+ * Base URL used to build links in emails (APP_URL, default local server)
+ */
+const getAppUrl = () => {
+  return (process.env.APP_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+};
+
+/**
+ * Send the email verification link to a newly registered user
+ * @param {Object} user - User document
+ * @param {string} token - Raw verification token
+ */
+const sendVerificationEmail = (user, token) => {
+  const link = `${getAppUrl()}/api/verify-email/${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your Student Resource Hub account',
+    text: `Hi ${user.name},\n\n` +
+      `Please confirm that ${user.email} belongs to you by opening the link below:\n\n` +
+      `${link}\n\n` +
+      'The link expires in 24 hours. If you did not create an account, you can ignore this email.'
+  });
+};
+
+/**
+ * Send a password reset link
+ * @param {Object} user - User document
+ * @param {string} token - Raw reset token
+ */
+const sendPasswordResetEmail = (user, token) => {
+  const resetUrl = process.env.PASSWORD_RESET_URL || `${getAppUrl()}/reset-password`;
+  const link = `${resetUrl}?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Student Resource Hub password',
+    text: `Hi ${user.name},\n\n` +
+      'We received a request to reset your password. Open the link below to choose a new one:\n\n' +
+      `${link}\n\n` +
+      'The link expires in 1 hour. If you did not request a reset, you can ignore this email.'
+  });
+};
+
+/**
+ * Notify a user that their password was changed
+ * @param {Object} user - User document
+ */
+const sendPasswordChangedEmail = (user) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Your Student Resource Hub password was changed',
+    text: `Hi ${user.name},\n\n` +
+      'Your password was just changed and all devices were logged out. ' +
+      'If this was not you, reset your password immediately.'
+  });
+};
+
+/**
+ * Tell a moderator that uploads of their college were quarantined as malware
+ * @param {Object} moderator - User document
+ * @param {Object[]} files - Affected File documents
+ * @param {string} threat - Name reported by the scanner
+ */
+const sendInfectedFileEmail = (moderator, files, threat) => {
+  const list = files
+    .map(file => `- ${file.fileName} (ID ${file._id}, uploaded by ${file.uploaderName || 'unknown'})`)
+    .join('\n');
+
+  return sendMail({
+    to: moderator.email,
+    subject: 'Malware detected in an uploaded file',
+    text: `Hi ${moderator.name},\n\n` +
+      `The malware scanner flagged the following upload(s) as "${threat}":\n\n` +
+      `${list}\n\n` +
+      'The content has been quarantined and can no longer be downloaded. ' +
+      'Please review the upload and contact the uploader if needed.'
+  });
+};
+
+/**
+ * Tell a user they were mentioned in a comment on a file
+ * @param {Object} user - Mentioned user
+ * @param {Object} author - Comment author
+ * @param {Object} file - File document
+ * @param {Object} comment - Comment document
+ */
+const sendMentionEmail = (user, author, file, comment) => {
+  const link = `${getAppUrl()}/api/files/${file._id}/comments/${comment._id}`;
+
+  return sendMail({
+    to: user.email,
+    subject: `${author.name} mentioned you in a comment`,
+    text: `Hi ${user.name},\n\n` +
+      `${author.name} mentioned you in a comment on "${file.fileName}":\n\n` +
+      `${comment.text}\n\n` +
+      `${link}`
+  });
+};
+
+/**
+ * Tell a moderator that a file of their college was hidden after reports
+ * @param {Object} moderator - User document
+ * @param {Object} file - File document
+ * @param {number} openReports - Open reports of the file
+ */
+const sendFileHiddenEmail = (moderator, file, openReports) => {
+  return sendMail({
+    to: moderator.email,
+    subject: 'A reported file was hidden',
+    text: `Hi ${moderator.name},\n\n` +
+      `"${file.fileName}" (ID ${file._id}, uploaded by ${file.uploaderName || 'unknown'}) ` +
+      `was hidden automatically after ${openReports} reports.\n\n` +
+      'Please review it in the moderation queue: dismiss the reports to restore it, or take action.'
+  });
+};
+
+/**
+ * Warn a user about one of their uploads
+ * @param {Object} user - Uploader
+ * @param {Object} file - File document
+ * @param {string} reason - Moderator's note
+ */
+const sendWarningEmail = (user, file, reason) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Warning about one of your uploads',
+    text: `Hi ${user.name},\n\n` +
+      `A moderator reviewed reports about your upload "${file.fileName}" and issued a warning:\n\n` +
+      `${reason}\n\n` +
+      'Repeated violations may lead to your account being suspended.'
+  });
+};
+
+/**
+ * Tell a user their account was banned
+ * @param {Object} user - User document (with ban set)
+ */
+const sendBanEmail = (user) => {
+  const until = user.ban.bannedUntil
+    ? `until ${user.ban.bannedUntil.toISOString().slice(0, 10)}`
+    : 'permanently';
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your Student Resource Hub account was suspended',
+    text: `Hi ${user.name},\n\n` +
+      `Your account has been suspended ${until} for the following reason:\n\n` +
+      `${user.ban.reason}\n\n` +
+      'Contact your college moderators if you believe this is a mistake.'
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  sendInfectedFileEmail,
+  sendMentionEmail,
+  sendFileHiddenEmail,
+  sendWarningEmail,
+  sendBanEmail
+};
@@ -0,0 +1,96 @@
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+/**
+ * Document text extraction
+ *
+ * Each extractor takes the file content as a Buffer and resolves to
+ * { text, pageCount } (pageCount is null when the format has no pages).
+ */
+
+const normalizeWhitespace = (text) => {
+  return String(text || '').replace(/[ \t\f\v]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+};
+
+const decodeXmlEntities = (text) => {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&amp;/g, '&');
+};
+
+const extractPdf = async (buffer) => {
+  // Required from lib/ directly: the package entry point runs a self-test when loaded
+  const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+  const result = await pdfParse(buffer);
+  return { text: normalizeWhitespace(result.text), pageCount: result.numpages || null };
+};
+
+const extractDocx = async (buffer) => {
+  const mammoth = require('mammoth');
+  const result = await mammoth.extractRawText({ buffer });
+  return { text: normalizeWhitespace(result.value), pageCount: null };
+};
+
+const extractPptx = async (buffer) => {
+  const zip = new AdmZip(buffer);
+  const slideNumber = (name) => parseInt(name.match(/slide(\d+)\.xml$/)[1], 10);
+
+  const slides = zip.getEntries()
+    .filter(entry => /^ppt\/slides\/slide\d+\.xml$/.test(entry.entryName))
+    .sort((a, b) => slideNumber(a.entryName) - slideNumber(b.entryName));
+
+  const text = slides.map((entry) => {
+    const xml = entry.getData().toString('utf8');
+    const runs = [...xml.matchAll(/<a:t>([^<]*)<\/a:t>/g)].map(match => decodeXmlEntities(match[1]));
+    return runs.join(' ');
+  }).join('\n');
+
+  return { text: normalizeWhitespace(text), pageCount: slides.length };
+};
+
+const extractPlainText = async (buffer) => {
+  return { text: normalizeWhitespace(buffer.toString('utf8')), pageCount: null };
+};
+
+// Extractors by MIME type, with the file extension as a fallback
+const EXTRACTORS = {
+  'application/pdf': extractPdf,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': extractDocx,
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': extractPptx,
+  'text/plain': extractPlainText
+};
+
+const EXTENSIONS = {
+  '.pdf': extractPdf,
+  '.docx': extractDocx,
+  '.pptx': extractPptx,
+  '.txt': extractPlainText
+};
+
+/**
+ * Find the extractor for a file, or null if its format is not supported
+ * @param {Object} file - { fileType, fileName }
+ */
+const getExtractor = ({ fileType, fileName }) => {
+  return EXTRACTORS[fileType] || EXTENSIONS[path.extname(fileName || '').toLowerCase()] || null;
+};
+
+/**
+ * Extract searchable text from a document
+ * @param {Buffer} buffer - File content
+ * @param {Object} file - { fileType, fileName }
+ * @returns {Promise<{ text: string, pageCount: number|null }|null>} null if unsupported
+ */
+const extractText = async (buffer, file) => {
+  const extractor = getExtractor(file);
+  if (!extractor) {
+    return null;
+  }
+  return extractor(buffer);
+};
+
+module.exports = { extractText, getExtractor };
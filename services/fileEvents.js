@@ -0,0 +1,305 @@
+const mongoose = require('mongoose');
+const FileEvent = require('../models/FileEvent');
+const File = require('../models/File');
+
+/**
+ * Download and view analytics
+ *
+ * Every completed download (attachment) or view (inline) is logged as a
+ * FileEvent and counted on File.downloadCount / File.viewCount. Aggregates
+ * are computed from the log, bucketed by UTC day, ISO week or month.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// $dateToString formats of the supported buckets (MongoDB 4.4 has no $dateTrunc)
+const INTERVAL_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+/**
+ * Bucket key of a date, as produced by INTERVAL_FORMATS
+ */
+const bucketKey = (date, interval) => {
+  if (interval === 'month') {
+    return date.toISOString().slice(0, 7);
+  }
+  if (interval === 'week') {
+    // ISO week: the week (starting Monday) belongs to the year of its Thursday
+    const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+    const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+    const week = Math.floor((thursday - yearStart) / DAY_MS / 7) + 1;
+    return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Every bucket key between two dates (inclusive), oldest first
+ */
+const bucketKeys = (from, to, interval) => {
+  const keys = new Set();
+  for (let time = from.getTime(); time <= to.getTime(); time += DAY_MS) {
+    keys.add(bucketKey(new Date(time), interval));
+  }
+  keys.add(bucketKey(to, interval));
+  return [...keys];
+};
+
+/**
+ * Log a completed download or view and update the file's counters
+ * @param {Object} user - User who downloaded or viewed the file
+ * @param {Object} file - File document
+ * @param {Object} options - { inline, version } (version only for older versions)
+ */
+const recordFileEvent = async (user, file, { inline = false, version = null } = {}) => {
+  const type = inline ? 'view' : 'download';
+  const createdAt = new Date();
+
+  await FileEvent.create({
+    file: file._id,
+    college: file.college._id || file.college,
+    user: user._id,
+    type,
+    version,
+    createdAt
+  });
+
+  await File.updateOne(
+    { _id: file._id },
+    {
+      $inc: { [type === 'view' ? 'viewCount' : 'downloadCount']: 1 },
+      $set: { lastAccessedAt: createdAt }
+    }
+  );
+};
+
+/**
+ * Download and view statistics of a file
+ * @param {Object} file - File document
+ * @param {number} days - Length of the daily breakdown, ending today
+ * @returns {Promise<Object>}
+ */
+const getFileStats = async (file, days) => {
+  const to = new Date();
+  const from = new Date(Date.UTC(to.getUTCFullYear(), to.getUTCMonth(), to.getUTCDate() - (days - 1)));
+
+  const [allTime, period, daily] = await Promise.all([
+    FileEvent.aggregate([
+      { $match: { file: file._id } },
+      { $group: { _id: '$user' } },
+      { $count: 'uniqueUsers' }
+    ]),
+    FileEvent.aggregate([
+      { $match: { file: file._id, createdAt: { $gte: from } } },
+      {
+        $group: {
+          _id: null,
+          downloads: { $sum: { $cond: [{ $eq: ['$type', 'download'] }, 1, 0] } },
+          views: { $sum: { $cond: [{ $eq: ['$type', 'view'] }, 1, 0] } },
+          users: { $addToSet: '$user' }
+        }
+      }
+    ]),
+    FileEvent.aggregate([
+      { $match: { file: file._id, createdAt: { $gte: from } } },
+      {
+        $group: {
+          _id: { date: { $dateToString: { format: INTERVAL_FORMATS.day, date: '$createdAt' } }, type: '$type' },
+          count: { $sum: 1 }
+        }
+      }
+    ])
+  ]);
+
+  const counts = new Map(daily.map(({ _id, count }) => [`${_id.date}:${_id.type}`, count]));
+  const { downloads = 0, views = 0, users = [] } = period[0] || {};
+
+  return {
+    downloads: file.downloadCount,
+    views: file.viewCount,
+    uniqueUsers: allTime.length > 0 ? allTime[0].uniqueUsers : 0,
+    lastAccessedAt: file.lastAccessedAt,
+    period: {
+      days,
+      from,
+      downloads,
+      views,
+      uniqueUsers: users.length,
+      daily: bucketKeys(from, to, 'day').map(date => ({
+        date,
+        downloads: counts.get(`${date}:download`) || 0,
+        views: counts.get(`${date}:view`) || 0
+      }))
+    }
+  };
+};
+
+/**
+ * Most downloaded and viewed files of a college over the last days, ranked by
+ * distinct users (so one student re-opening a file does not make it trend)
+ * @param {string} collegeId - College ID
+ * @param {Object} options - { days, fileFilter (on File fields), groupBy
+ *                             ('semester' | 'course', optional), limit (per group) }
+ * @returns {Promise<Array>} Files, or [{ semester|course, files }] when grouped
+ */
+const getTrendingFiles = async (collegeId, { days, fileFilter = {}, groupBy = null, limit }) => {
+  const since = new Date(Date.now() - days * DAY_MS);
+
+  const pipeline = [
+    { $match: { college: toObjectId(collegeId), createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: '$file',
+        downloads: { $sum: { $cond: [{ $eq: ['$type', 'download'] }, 1, 0] } },
+        views: { $sum: { $cond: [{ $eq: ['$type', 'view'] }, 1, 0] } },
+        users: { $addToSet: '$user' }
+      }
+    },
+    {
+      $lookup: {
+        from: File.collection.name,
+        let: { fileId: '$_id' },
+        pipeline: [
+          { $match: { ...fileFilter, $expr: { $eq: ['$_id', '$$fileId'] } } },
+          {
+            $project: {
+              fileName: 1, semester: 1, course: 1, courseRef: 1, department: 1, fileType: 1, fileSize: 1,
+              uploader: 1, uploaderName: 1, uploadDate: 1, downloadCount: 1, viewCount: 1, ratings: 1
+            }
+          }
+        ],
+        as: 'file'
+      }
+    },
+    // Deleted files and files not matching fileFilter drop out here
+    { $unwind: '$file' },
+    {
+      $project: {
+        _id: 0,
+        file: 1,
+        trend: { uniqueUsers: { $size: '$users' }, downloads: '$downloads', views: '$views' }
+      }
+    },
+    { $sort: { 'trend.uniqueUsers': -1, 'trend.downloads': -1, 'trend.views': -1, 'file._id': -1 } }
+  ];
+
+  if (!groupBy) {
+    const results = await FileEvent.aggregate([...pipeline, { $limit: limit }]);
+    return results.map(({ file, trend }) => ({ ...file, trend }));
+  }
+
+  const groups = await FileEvent.aggregate([
+    ...pipeline,
+    { $group: { _id: `$file.${groupBy}`, files: { $push: { $mergeObjects: ['$file', { trend: '$trend' }] } } } },
+    { $project: { _id: 0, [groupBy]: '$_id', files: { $slice: ['$files', limit] } } },
+    { $sort: { [groupBy]: 1 } }
+  ]);
+  return groups;
+};
+
+/**
+ * Upload, download and view activity of a college over time
+ * @param {string} collegeId - College ID
+ * @param {Object} options - { from, to (Dates), interval ('day' | 'week' | 'month') }
+ * @returns {Promise<Object>} { totals, series }
+ */
+const getCollegeActivity = async (collegeId, { from, to, interval }) => {
+  const college = toObjectId(collegeId);
+  const format = INTERVAL_FORMATS[interval];
+
+  const [uploads, events, eventTotals, fileCount, accessedFiles] = await Promise.all([
+    File.aggregate([
+      { $match: { college, uploadDate: { $gte: from, $lte: to } } },
+      {
+        $group: {
+          _id: { $dateToString: { format, date: '$uploadDate' } },
+          uploads: { $sum: 1 },
+          uploadedBytes: { $sum: '$fileSize' }
+        }
+      }
+    ]),
+    FileEvent.aggregate([
+      { $match: { college, createdAt: { $gte: from, $lte: to } } },
+      {
+        $group: {
+          _id: { $dateToString: { format, date: '$createdAt' } },
+          downloads: { $sum: { $cond: [{ $eq: ['$type', 'download'] }, 1, 0] } },
+          views: { $sum: { $cond: [{ $eq: ['$type', 'view'] }, 1, 0] } },
+          users: { $addToSet: '$user' }
+        }
+      },
+      { $project: { downloads: 1, views: 1, activeUsers: { $size: '$users' } } }
+    ]),
+    FileEvent.aggregate([
+      { $match: { college, createdAt: { $gte: from, $lte: to } } },
+      { $group: { _id: '$user' } },
+      { $count: 'activeUsers' }
+    ]),
+    File.countDocuments({ college, uploadDate: { $lte: to } }),
+    // Events of deleted files are kept, but only existing files count here
+    FileEvent.aggregate([
+      { $match: { college, createdAt: { $gte: from, $lte: to } } },
+      { $group: { _id: '$file' } },
+      {
+        $lookup: {
+          from: File.collection.name,
+          let: { fileId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$_id', '$$fileId'] } } },
+            { $project: { _id: 1 } }
+          ],
+          as: 'file'
+        }
+      },
+      { $match: { 'file.0': { $exists: true } } },
+      { $count: 'files' }
+    ])
+  ]);
+
+  const uploadsByKey = new Map(uploads.map(bucket => [bucket._id, bucket]));
+  const eventsByKey = new Map(events.map(bucket => [bucket._id, bucket]));
+
+  const series = bucketKeys(from, to, interval).map((period) => {
+    const uploadBucket = uploadsByKey.get(period) || {};
+    const eventBucket = eventsByKey.get(period) || {};
+    return {
+      period,
+      uploads: uploadBucket.uploads || 0,
+      uploadedBytes: uploadBucket.uploadedBytes || 0,
+      downloads: eventBucket.downloads || 0,
+      views: eventBucket.views || 0,
+      activeUsers: eventBucket.activeUsers || 0
+    };
+  });
+
+  const filesAccessed = accessedFiles.length > 0 ? accessedFiles[0].files : 0;
+
+  return {
+    totals: {
+      uploads: series.reduce((sum, bucket) => sum + bucket.uploads, 0),
+      uploadedBytes: series.reduce((sum, bucket) => sum + bucket.uploadedBytes, 0),
+      downloads: series.reduce((sum, bucket) => sum + bucket.downloads, 0),
+      views: series.reduce((sum, bucket) => sum + bucket.views, 0),
+      activeUsers: eventTotals.length > 0 ? eventTotals[0].activeUsers : 0,
+      files: fileCount,
+      filesAccessed,
+      // Files that existed during the range and were never opened
+      idleFiles: Math.max(fileCount - filesAccessed, 0)
+    },
+    series
+  };
+};
+
+module.exports = {
+  INTERVAL_FORMATS,
+  recordFileEvent,
+  getFileStats,
+  getTrendingFiles,
+  getCollegeActivity
+};
@@ -0,0 +1,130 @@
+const File = require('../models/File');
+const { getStorage, readObject } = require('./storage');
+const { extractText, getExtractor } = require('./extraction');
+const { generatePreviews, getPreviewKind } = require('./previews');
+const { registerHandler, enqueue } = require('./jobQueue');
+const { scanFile } = require('./fileScanning');
+
+// Documents larger than this are not loaded for extraction
+const MAX_EXTRACTION_BYTES = parseInt(process.env.EXTRACTION_MAX_BYTES) || 50 * 1024 * 1024;
+// Stored text is capped to keep documents and the text index reasonable
+const MAX_EXTRACTED_CHARS = 100000;
+
+/**
+ * Extract the text of a file's current version and store it on the File
+ * Only content that passed its malware scan is parsed.
+ * Failures are recorded on file.extraction and never thrown
+ * @param {string} fileId - File ID
+ */
+const extractFileText = async (fileId) => {
+  const file = await File.findById(fileId);
+  if (!file || file.scan.status !== 'clean') {
+    return;
+  }
+
+  const storageKey = file.getStorageKey();
+  const update = { 'extraction.extractedAt': new Date(), 'extraction.error': null };
+
+  if (!getExtractor(file)) {
+    update['extraction.status'] = 'unsupported';
+  } else {
+    try {
+      const buffer = await readObject(storageKey, { maxBytes: MAX_EXTRACTION_BYTES });
+      const { text, pageCount } = await extractText(buffer, file);
+      update.extractedText = text.slice(0, MAX_EXTRACTED_CHARS);
+      update.pageCount = pageCount;
+      update['extraction.status'] = 'completed';
+    } catch (error) {
+      console.error(`Text extraction failed for file ${fileId}:`, error.message);
+      update['extraction.status'] = 'failed';
+      update['extraction.error'] = error.message.slice(0, 500);
+    }
+  }
+
+  // Skip the write if a newer version was uploaded while extracting
+  await File.updateOne({ _id: file._id, storageKey: file.storageKey || null }, { $set: update });
+};
+
+/**
+ * Generate the thumbnail and preview of a file's current version
+ * Only content that passed its malware scan is rendered.
+ * Renditions are stored through the same storage driver as the upload
+ * @param {string} fileId - File ID
+ */
+const generateFilePreviews = async (fileId) => {
+  const file = await File.findById(fileId);
+  if (!file || file.scan.status !== 'clean') {
+    return;
+  }
+
+  const update = {
+    'preview.generatedAt': new Date(),
+    'preview.error': null,
+    'preview.thumbnailKey': null,
+    'preview.previewKey': null,
+    'preview.text': null
+  };
+
+  if (!getPreviewKind(file)) {
+    update['preview.status'] = 'unsupported';
+  } else {
+    try {
+      const buffer = await readObject(file.getStorageKey(), { maxBytes: MAX_EXTRACTION_BYTES });
+      const result = await generatePreviews(buffer, file);
+
+      if (result.text !== undefined) {
+        update['preview.text'] = result.text;
+      } else {
+        // Keys include the version so a new version never serves stale renditions
+        const baseKey = `previews/${file._id}-v${file.currentVersion}`;
+        const storage = getStorage();
+        await storage.put(`${baseKey}-thumbnail.png`, result.thumbnail, { contentType: 'image/png' });
+        await storage.put(`${baseKey}-preview.png`, result.preview, { contentType: 'image/png' });
+        update['preview.thumbnailKey'] = `${baseKey}-thumbnail.png`;
+        update['preview.previewKey'] = `${baseKey}-preview.png`;
+      }
+      update['preview.status'] = 'completed';
+    } catch (error) {
+      console.error(`Preview generation failed for file ${fileId}:`, error.message);
+      update['preview.status'] = 'failed';
+      update['preview.error'] = error.message.slice(0, 500);
+    }
+  }
+
+  const result = await File.updateOne(
+    { _id: file._id, storageKey: file.storageKey || null },
+    { $set: update }
+  );
+
+  const newKeys = [update['preview.thumbnailKey'], update['preview.previewKey']].filter(Boolean);
+  const unusedKeys = result.modifiedCount > 0
+    // Renditions of the previous version are replaced
+    ? [file.preview.thumbnailKey, file.preview.previewKey].filter(key => key && !newKeys.includes(key))
+    // A newer version was uploaded meanwhile, these renditions are already stale
+    : newKeys;
+
+  for (const key of unusedKeys) {
+    await getStorage().delete(key).catch(() => {});
+  }
+};
+
+// Extraction and previews parse the content, so they wait for a clean scan
+registerHandler('scan-file', async ({ fileId }) => {
+  if (await scanFile(fileId) === 'clean') {
+    enqueue('extract-text', { fileId });
+    enqueue('generate-previews', { fileId });
+  }
+});
+registerHandler('extract-text', ({ fileId }) => extractFileText(fileId));
+registerHandler('generate-previews', ({ fileId }) => generateFilePreviews(fileId));
+
+/**
+ * Queue background processing for a newly uploaded file or version
+ * @param {Object} file - File document
+ */
+const processFile = (file) => {
+  // Extraction and previews are queued by the scan once the content is clean
+  enqueue('scan-file', { fileId: file._id.toString() });
+};
+
+module.exports = { processFile, extractFileText, generateFilePreviews };
@@ -0,0 +1,39 @@
+const Review = require('../models/Review');
+const Comment = require('../models/Comment');
+const Bookmark = require('../models/Bookmark');
+const Collection = require('../models/Collection');
+const { getStorage } = require('./storage');
+const { releaseBlob } = require('./blobs');
+
+/**
+ * Delete a file record with everything attached to it (reviews, comments,
+ * bookmarks, collection entries) and its stored blobs
+ *
+ * Reports are kept as the moderation audit trail; close them with
+ * resolveReports (services/moderation.js) before removing the file. The
+ * download log is kept too, so college analytics of past periods do not change.
+ *
+ * The record is gone either way; leftover blobs are only logged.
+ * Content blobs may be shared with other files and are only released.
+ * @param {Object} file - File document
+ */
+const removeFile = async (file) => {
+  await file.deleteOne();
+  await Review.deleteMany({ file: file._id });
+  await Comment.deleteMany({ file: file._id });
+  await Bookmark.deleteMany({ file: file._id });
+  await Collection.updateMany({ 'files.file': file._id }, { $pull: { files: { file: file._id } } });
+
+  for (const storageKey of file.getContentStorageKeys()) {
+    await releaseBlob(storageKey).catch((storageError) => {
+      console.error('Release blob error:', storageError);
+    });
+  }
+  for (const storageKey of file.getPreviewStorageKeys()) {
+    await getStorage().delete(storageKey).catch((storageError) => {
+      console.error('Delete preview error:', storageError);
+    });
+  }
+};
+
+module.exports = { removeFile };
@@ -0,0 +1,157 @@
+const File = require('../models/File');
+const User = require('../models/User');
+const { getStorage } = require('./storage');
+const { getScanner } = require('./scanner');
+const { sendInfectedFileEmail } = require('./emails');
+
+/**
+ * Malware scanning and quarantine
+ *
+ * Content is scanned per blob: blobs are shared by every File and version
+ * with the same checksum, so a verdict applies to all of them. Infected blobs
+ * are moved below quarantine/ (which is never served) and the moderators of
+ * each affected college are notified.
+ */
+
+const QUARANTINE_PREFIX = 'quarantine/';
+
+const isQuarantined = (storageKey) => storageKey.startsWith(QUARANTINE_PREFIX);
+
+/**
+ * Files whose current content is the blob (legacy files without a storageKey
+ * can only be matched by ID)
+ */
+const currentContentFilter = (storageKey, fileId) => {
+  const filter = { $or: [{ storageKey }] };
+  if (fileId) {
+    filter.$or.push({ _id: fileId, storageKey: null });
+  }
+  return filter;
+};
+
+/**
+ * Record a verdict on every File and version that references the blob
+ */
+const recordVerdict = async (storageKey, fileId, { status, threat = null, newStorageKey }) => {
+  const scan = { status, threat, error: null, scannedAt: new Date() };
+  const currentUpdate = { scan };
+  const versionUpdate = { 'versions.$[match].scanStatus': status };
+
+  if (newStorageKey) {
+    currentUpdate.storageKey = newStorageKey;
+    currentUpdate.fileUrl = `/uploads/${encodeURIComponent(newStorageKey)}`;
+    versionUpdate['versions.$[match].storageKey'] = newStorageKey;
+  }
+
+  await File.updateMany(currentContentFilter(storageKey, fileId), { $set: currentUpdate });
+  await File.updateMany(
+    { 'versions.storageKey': storageKey },
+    { $set: versionUpdate },
+    { arrayFilters: [{ 'match.storageKey': storageKey }] }
+  );
+};
+
+/**
+ * Email the moderators of each college with affected files (platform admins
+ * when a college has no moderator). Failures are logged, never thrown.
+ */
+const notifyModerators = async (files, threat) => {
+  const byCollege = new Map();
+  for (const file of files) {
+    const collegeId = file.college.toString();
+    byCollege.set(collegeId, [...(byCollege.get(collegeId) || []), file]);
+  }
+
+  for (const [collegeId, collegeFiles] of byCollege) {
+    try {
+      let recipients = await User.find({ college: collegeId, role: 'moderator' }, 'name email');
+      if (recipients.length === 0) {
+        recipients = await User.find({ role: 'admin' }, 'name email');
+      }
+
+      for (const recipient of recipients) {
+        await sendInfectedFileEmail(recipient, collegeFiles, threat);
+      }
+    } catch (error) {
+      console.error(`Infected file notification failed for college ${collegeId}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Move an infected blob to quarantine and flag everything that references it
+ */
+const quarantineContent = async (storageKey, fileId, threat) => {
+  const storage = getStorage();
+  const quarantineKey = `${QUARANTINE_PREFIX}${storageKey}`;
+
+  const affectedFiles = await File.find({
+    $or: [...currentContentFilter(storageKey, fileId).$or, { 'versions.storageKey': storageKey }]
+  }, 'college fileName uploaderName');
+
+  // Identical content may already be in quarantine from an earlier upload
+  if (await storage.exists(quarantineKey)) {
+    await storage.delete(storageKey);
+  } else {
+    await storage.move(storageKey, quarantineKey);
+  }
+
+  await recordVerdict(storageKey, fileId, { status: 'infected', threat, newStorageKey: quarantineKey });
+  console.warn(`Quarantined ${storageKey} (${threat}), referenced by ${affectedFiles.length} file(s)`);
+
+  await notifyModerators(affectedFiles, threat);
+};
+
+/**
+ * Scan a stored blob and record the verdict on everything referencing it
+ * @param {string} storageKey - Blob key
+ * @param {string} fileId - File being scanned (needed to match legacy files)
+ * @returns {Promise<string>} clean | infected
+ */
+const scanContent = async (storageKey, fileId) => {
+  const result = await getScanner().scan(await getStorage().getStream(storageKey));
+
+  if (result.infected) {
+    await quarantineContent(storageKey, fileId, result.threat);
+    return 'infected';
+  }
+
+  await recordVerdict(storageKey, fileId, { status: 'clean' });
+  return 'clean';
+};
+
+/**
+ * Scan the current version of a file
+ * Scanner failures are recorded on file.scan and never thrown
+ * @param {string} fileId - File ID
+ * @returns {Promise<string|null>} clean | infected | error, null for unknown files
+ */
+const scanFile = async (fileId) => {
+  const file = await File.findById(fileId);
+  if (!file) {
+    return null;
+  }
+
+  const storageKey = file.getStorageKey();
+  if (isQuarantined(storageKey)) {
+    return 'infected';
+  }
+
+  try {
+    return await scanContent(storageKey, file._id);
+  } catch (error) {
+    console.error(`Malware scan failed for file ${fileId}:`, error.message);
+    // Skip the write if a newer version was uploaded while scanning
+    await File.updateOne(
+      { _id: file._id, storageKey: file.storageKey || null },
+      {
+        $set: {
+          scan: { status: 'error', threat: null, error: error.message.slice(0, 500), scannedAt: new Date() }
+        }
+      }
+    );
+    return 'error';
+  }
+};
+
+module.exports = { QUARANTINE_PREFIX, isQuarantined, scanContent, scanFile };
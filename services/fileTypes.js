@@ -0,0 +1,348 @@
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+/**
+ * Server-side file type detection
+ *
+ * The type of an upload is decided from its bytes, never from the MIME type
+ * the client declared: the content signature must agree with the file
+ * extension (and with the declared type, unless that is a generic one), and
+ * ZIP-based uploads have their entries inspected so archives and Office
+ * documents cannot smuggle executables.
+ */
+
+/**
+ * Supported upload types, keyed by the name used in college upload policies
+ */
+const FILE_TYPES = {
+  pdf: {
+    label: 'PDF',
+    mime: 'application/pdf',
+    extensions: ['.pdf']
+  },
+  doc: {
+    label: 'DOC',
+    mime: 'application/msword',
+    extensions: ['.doc']
+  },
+  docx: {
+    label: 'DOCX',
+    mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extensions: ['.docx']
+  },
+  ppt: {
+    label: 'PPT',
+    mime: 'application/vnd.ms-powerpoint',
+    extensions: ['.ppt']
+  },
+  pptx: {
+    label: 'PPTX',
+    mime: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    extensions: ['.pptx']
+  },
+  xls: {
+    label: 'XLS',
+    mime: 'application/vnd.ms-excel',
+    extensions: ['.xls']
+  },
+  xlsx: {
+    label: 'XLSX',
+    mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extensions: ['.xlsx']
+  },
+  txt: {
+    label: 'TXT',
+    mime: 'text/plain',
+    extensions: ['.txt']
+  },
+  jpeg: {
+    label: 'JPEG',
+    mime: 'image/jpeg',
+    extensions: ['.jpg', '.jpeg'],
+    aliases: ['image/pjpeg']
+  },
+  png: {
+    label: 'PNG',
+    mime: 'image/png',
+    extensions: ['.png']
+  },
+  gif: {
+    label: 'GIF',
+    mime: 'image/gif',
+    extensions: ['.gif']
+  },
+  zip: {
+    label: 'ZIP',
+    mime: 'application/zip',
+    extensions: ['.zip'],
+    aliases: ['application/x-zip-compressed', 'application/x-zip']
+  }
+};
+
+const FILE_TYPE_NAMES = Object.keys(FILE_TYPES);
+
+// Declared types that say nothing about the content
+const GENERIC_MIME_TYPES = ['', 'application/octet-stream', 'binary/octet-stream'];
+
+// Largest per-file limit a college upload policy may configure
+const MAX_UPLOAD_SIZE = 500 * 1024 * 1024;
+
+// Bytes of each upload kept for signature detection
+const HEAD_BYTES = 4096;
+
+// Archive inspection limits (zip bomb and nesting guards)
+const MAX_ARCHIVE_ENTRIES = 5000;
+const MAX_ARCHIVE_UNCOMPRESSED_BYTES = 500 * 1024 * 1024;
+const MAX_ARCHIVE_DEPTH = 2;
+
+// Entry names that are executable on common platforms regardless of content
+const BLOCKED_EXTENSIONS = [
+  '.exe', '.dll', '.com', '.scr', '.msi', '.bat', '.cmd', '.ps1', '.vbs',
+  '.vbe', '.wsf', '.jar', '.apk', '.app', '.dmg', '.lnk', '.cpl', '.sys'
+];
+
+const SIGNATURES = {
+  png: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  jpeg: Buffer.from([0xff, 0xd8, 0xff]),
+  gif87: Buffer.from('GIF87a'),
+  gif89: Buffer.from('GIF89a'),
+  ole: Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]),
+  zip: Buffer.from([0x50, 0x4b, 0x03, 0x04]),
+  emptyZip: Buffer.from([0x50, 0x4b, 0x05, 0x06])
+};
+
+const EXECUTABLE_SIGNATURES = [
+  Buffer.from('MZ'), // Windows PE / DOS
+  Buffer.from([0x7f, 0x45, 0x4c, 0x46]), // ELF
+  Buffer.from([0xfe, 0xed, 0xfa, 0xce]), // Mach-O 32-bit
+  Buffer.from([0xfe, 0xed, 0xfa, 0xcf]), // Mach-O 64-bit
+  Buffer.from([0xce, 0xfa, 0xed, 0xfe]), // Mach-O 32-bit (little-endian)
+  Buffer.from([0xcf, 0xfa, 0xed, 0xfe]), // Mach-O 64-bit (little-endian)
+  Buffer.from([0xca, 0xfe, 0xba, 0xbe]), // Mach-O universal / Java class
+  Buffer.from('#!') // Script with an interpreter line
+];
+
+const startsWith = (buffer, signature) => {
+  return buffer.length >= signature.length && buffer.subarray(0, signature.length).equals(signature);
+};
+
+/**
+ * Build the error returned for rejected uploads (400 with a machine-readable code)
+ */
+const uploadError = (code, message) => {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Type name for a file name's extension, or null if unsupported
+ */
+const getTypeByExtension = (fileName) => {
+  const ext = path.extname(fileName || '').toLowerCase();
+  return FILE_TYPE_NAMES.find(name => FILE_TYPES[name].extensions.includes(ext)) || null;
+};
+
+/**
+ * Whether a client-declared MIME type is compatible with a type
+ */
+const matchesDeclaredType = (typeName, declared) => {
+  const mime = (declared || '').toLowerCase().split(';')[0].trim();
+  if (GENERIC_MIME_TYPES.includes(mime)) {
+    return true;
+  }
+  const type = FILE_TYPES[typeName];
+  return mime === type.mime || (type.aliases || []).includes(mime);
+};
+
+const isExecutable = (head) => EXECUTABLE_SIGNATURES.some(signature => startsWith(head, signature));
+
+const isText = (head) => {
+  if (head.includes(0)) {
+    return false;
+  }
+  try {
+    // stream: true tolerates a multi-byte character cut off at the end of the head
+    new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Classify content from its leading bytes
+ * @param {Buffer} head - First bytes of the content
+ * @returns {string|null} pdf | ole | zip | jpeg | png | gif | text | executable | null
+ */
+const sniff = (head) => {
+  if (isExecutable(head)) {
+    return 'executable';
+  }
+  // PDF readers accept the header anywhere in the first kilobyte
+  if (head.subarray(0, 1024).includes('%PDF-')) {
+    return 'pdf';
+  }
+  if (startsWith(head, SIGNATURES.png)) {
+    return 'png';
+  }
+  if (startsWith(head, SIGNATURES.jpeg)) {
+    return 'jpeg';
+  }
+  if (startsWith(head, SIGNATURES.gif87) || startsWith(head, SIGNATURES.gif89)) {
+    return 'gif';
+  }
+  if (startsWith(head, SIGNATURES.ole)) {
+    return 'ole';
+  }
+  if (startsWith(head, SIGNATURES.zip) || startsWith(head, SIGNATURES.emptyZip)) {
+    return 'zip';
+  }
+  if (isText(head)) {
+    return 'text';
+  }
+  return null;
+};
+
+/**
+ * Inspect a ZIP archive's entries, rejecting executables, macros, encrypted
+ * entries and archives that are too large or too deeply nested
+ * @param {Buffer} buffer - Whole archive
+ * @param {number} depth - Nesting level (0 for the uploaded file itself)
+ * @returns {{ entryNames: string[] }}
+ */
+const inspectZip = (buffer, depth = 0) => {
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries();
+  } catch (error) {
+    throw uploadError('INVALID_FILE_CONTENT', 'The archive is damaged and could not be read');
+  }
+
+  if (entries.length > MAX_ARCHIVE_ENTRIES) {
+    throw uploadError('ARCHIVE_REJECTED', `Archives may contain at most ${MAX_ARCHIVE_ENTRIES} entries`);
+  }
+
+  const uncompressedSize = entries.reduce((total, entry) => total + entry.header.size, 0);
+  if (uncompressedSize > MAX_ARCHIVE_UNCOMPRESSED_BYTES) {
+    throw uploadError('ARCHIVE_REJECTED', 'The archive expands to more data than is allowed');
+  }
+
+  for (const entry of entries) {
+    if (entry.isDirectory) {
+      continue;
+    }
+
+    const name = entry.entryName;
+    const ext = path.extname(name).toLowerCase();
+
+    if (BLOCKED_EXTENSIONS.includes(ext)) {
+      throw uploadError('ARCHIVE_REJECTED', `Archive contains an executable file: ${name}`);
+    }
+    if (path.basename(name).toLowerCase() === 'vbaproject.bin') {
+      throw uploadError('ARCHIVE_REJECTED', 'Macro-enabled documents are not allowed');
+    }
+    if (entry.header.flags & 0x1) {
+      throw uploadError('ARCHIVE_REJECTED', `Archive contains an encrypted entry that cannot be checked: ${name}`);
+    }
+
+    let data;
+    try {
+      data = entry.getData();
+    } catch (error) {
+      throw uploadError('INVALID_FILE_CONTENT', `The archive is damaged and could not be read: ${name}`);
+    }
+    const kind = sniff(data.subarray(0, HEAD_BYTES));
+
+    if (kind === 'executable') {
+      throw uploadError('ARCHIVE_REJECTED', `Archive contains an executable file: ${name}`);
+    }
+    if (kind === 'zip') {
+      if (depth + 1 >= MAX_ARCHIVE_DEPTH) {
+        throw uploadError('ARCHIVE_REJECTED', 'Archives may not be nested this deeply');
+      }
+      inspectZip(data, depth + 1);
+    }
+  }
+
+  return { entryNames: entries.map(entry => entry.entryName) };
+};
+
+/**
+ * Type of a ZIP-based upload: an Office Open XML document or a plain archive
+ */
+const getZipType = (entryNames) => {
+  if (!entryNames.includes('[Content_Types].xml')) {
+    return 'zip';
+  }
+  if (entryNames.some(name => name.startsWith('word/'))) {
+    return 'docx';
+  }
+  if (entryNames.some(name => name.startsWith('ppt/'))) {
+    return 'pptx';
+  }
+  if (entryNames.some(name => name.startsWith('xl/'))) {
+    return 'xlsx';
+  }
+  return 'zip';
+};
+
+/**
+ * Determine and check the type of stored upload content
+ * @param {Object} upload - { originalname, mimetype, head }
+ * @param {Object} options - { readContent } loads the whole content (needed for ZIP inspection)
+ * @returns {Promise<string>} Type name (key of FILE_TYPES)
+ */
+const detectFileType = async ({ originalname, mimetype, head }, { readContent }) => {
+  const expected = getTypeByExtension(originalname);
+  const kind = sniff(head);
+
+  if (kind === 'executable') {
+    throw uploadError('EXECUTABLE_NOT_ALLOWED', 'Executable files are not allowed');
+  }
+
+  let detected = null;
+  if (['pdf', 'png', 'jpeg', 'gif'].includes(kind)) {
+    detected = kind;
+  } else if (kind === 'ole') {
+    // Legacy Office formats share one container; trust the extension among them
+    detected = ['doc', 'ppt', 'xls'].includes(expected) ? expected : 'doc';
+  } else if (kind === 'zip') {
+    const { entryNames } = inspectZip(await readContent());
+    detected = getZipType(entryNames);
+  } else if (kind === 'text') {
+    detected = 'txt';
+  }
+
+  if (!detected) {
+    throw uploadError('INVALID_FILE_CONTENT', 'The file content is not a supported document type');
+  }
+  if (detected !== expected) {
+    throw uploadError(
+      'FILE_TYPE_MISMATCH',
+      `The file content (${FILE_TYPES[detected].label}) does not match its extension`
+    );
+  }
+  if (!matchesDeclaredType(detected, mimetype)) {
+    throw uploadError(
+      'FILE_TYPE_MISMATCH',
+      `The file content (${FILE_TYPES[detected].label}) does not match its declared type`
+    );
+  }
+
+  return detected;
+};
+
+module.exports = {
+  FILE_TYPES,
+  FILE_TYPE_NAMES,
+  HEAD_BYTES,
+  MAX_UPLOAD_SIZE,
+  uploadError,
+  getTypeByExtension,
+  matchesDeclaredType,
+  sniff,
+  inspectZip,
+  detectFileType
+};
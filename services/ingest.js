@@ -0,0 +1,154 @@
+const path = require('path');
+const { Readable } = require('stream');
+const AdmZip = require('adm-zip');
+const { storeBlob } = require('./blobs');
+const { readObject } = require('./storage');
+const {
+  FILE_TYPES,
+  uploadError,
+  getTypeByExtension,
+  matchesDeclaredType,
+  detectFileType
+} = require('./fileTypes');
+const { describeAllowedTypes } = require('./uploadPolicy');
+const { resolveAcademicFields } = require('../utils/academic');
+
+/**
+ * Upload ingestion: the checks every uploaded file goes through before it is
+ * stored and the File record created from it, shared by multer
+ * (config/multer.js), archive expansion and resumable uploads
+ */
+
+// Archive members that are never course material
+const JUNK_ENTRY = /(^|\/)(__MACOSX\/|\.DS_Store$|Thumbs\.db$|desktop\.ini$)/i;
+
+/**
+ * Check a file name (and declared type) against the upload policy
+ * @returns {string} Type name the content must turn out to be
+ */
+const checkFileType = (policy, { originalname, mimetype }) => {
+  const typeName = getTypeByExtension(originalname);
+
+  if (!typeName || !policy.allowedTypes.includes(typeName)) {
+    throw uploadError(
+      'INVALID_FILE_TYPE',
+      `Invalid file type. Only ${describeAllowedTypes(policy)} files are allowed.`
+    );
+  }
+
+  if (!matchesDeclaredType(typeName, mimetype)) {
+    throw uploadError(
+      'FILE_TYPE_MISMATCH',
+      'The declared file type does not match the file extension'
+    );
+  }
+
+  return typeName;
+};
+
+/**
+ * Validate and store one upload: type and size checks against the policy,
+ * content sniffing (see services/fileTypes.js) and deduplicated storage
+ * (see services/blobs.js)
+ * @param {Readable} source - Upload content
+ * @param {Object} file - { originalname, mimetype } as sent by the client
+ * @param {Object} policy - College upload policy
+ * @returns {Promise<{ storageKey, checksum, size, mimetype }>} mimetype is the detected type
+ */
+const storeUpload = async (source, { originalname, mimetype }, policy) => {
+  const typeName = checkFileType(policy, { originalname, mimetype });
+  const detectedMimetype = FILE_TYPES[typeName].mime;
+
+  const { storageKey, checksum, size } = await storeBlob(source, { originalname, mimetype: detectedMimetype }, {
+    maxBytes: policy.maxFileSize,
+    validate: ({ head, readContent }) => detectFileType({ originalname, mimetype, head }, { readContent })
+  });
+
+  return { storageKey, checksum, size, mimetype: detectedMimetype };
+};
+
+/**
+ * Store every file of an uploaded (already inspected) ZIP archive as an
+ * upload of its own. Members that fail the checks are returned with
+ * rejected: { code, message } instead of failing the whole archive.
+ * @param {Object} archive - Stored archive ({ storageKey, size })
+ * @param {Object} policy - College upload policy
+ * @param {Object} options - { maxFiles } members beyond this are rejected
+ * @returns {Promise<Object[]>} { originalname, path, storageKey, checksum, size, mimetype } or { originalname, path, rejected }
+ */
+const expandArchive = async (archive, policy, { maxFiles = Infinity } = {}) => {
+  const buffer = await readObject(archive.storageKey, { maxBytes: archive.size });
+  const entries = new AdmZip(buffer).getEntries()
+    .filter(entry => !entry.isDirectory && !JUNK_ENTRY.test(entry.entryName));
+
+  const members = [];
+  for (const [index, entry] of entries.entries()) {
+    const member = { originalname: path.posix.basename(entry.entryName), path: entry.entryName };
+
+    if (index >= maxFiles) {
+      members.push({
+        ...member,
+        rejected: { code: 'TOO_MANY_FILES', message: `At most ${maxFiles} files can be uploaded at once` }
+      });
+      continue;
+    }
+
+    try {
+      // Archive members carry no declared type; their content decides
+      const stored = await storeUpload(Readable.from([entry.getData()]), {
+        originalname: member.originalname,
+        mimetype: ''
+      }, policy);
+      members.push({ ...member, ...stored });
+    } catch (error) {
+      if (error.status !== 400) {
+        throw error;
+      }
+      members.push({ ...member, rejected: { code: error.code, message: error.message } });
+    }
+  }
+
+  return members;
+};
+
+/**
+ * Fields of a new File record for stored upload content
+ * @param {Object} user - Uploader (its college is used for access control)
+ * @param {Object} stored - { originalname, storageKey, mimetype, size, checksum }
+ * @param {Object} metadata - { semester, course, courseRef, description } (course resolved
+ *                            against the catalog, see services/courseCatalog.js) and the
+ *                            academic fields (unset ones default to the uploader's profile)
+ */
+const buildNewFile = (user, stored, metadata) => {
+  const { semester, course, courseRef, description } = metadata;
+  return {
+    college: user.college._id, // Critical: Use user's college for access control
+    uploader: user._id,
+    uploaderName: user.name,
+    fileName: stored.originalname,
+    semester,
+    course,
+    courseRef: courseRef || null,
+    description: description || '',
+    ...resolveAcademicFields(user, metadata),
+    // Public URL served through the storage adapter (see routes/uploads.js)
+    fileUrl: `/uploads/${encodeURIComponent(stored.storageKey)}`,
+    storageKey: stored.storageKey,
+    fileType: stored.mimetype,
+    fileSize: stored.size,
+    checksum: stored.checksum,
+    uploadDate: new Date(),
+    currentVersion: 1,
+    versions: [{
+      version: 1,
+      storageKey: stored.storageKey,
+      fileName: stored.originalname,
+      fileType: stored.mimetype,
+      fileSize: stored.size,
+      checksum: stored.checksum,
+      uploader: user._id
+    }]
+  };
+};
+
+module.exports = { checkFileType, storeUpload, expandArchive, buildNewFile };
@@ -0,0 +1,62 @@
+/**
+ * Minimal in-process background job queue
+ *
+ * Jobs run after the HTTP response, one at a time per process (JOB_CONCURRENCY
+ * to change). Queued jobs are lost on restart; the scripts in scripts/ can
+ * re-run processing for files left unprocessed.
+ */
+
+const handlers = {};
+const queue = [];
+let running = 0;
+
+const getConcurrency = () => parseInt(process.env.JOB_CONCURRENCY) || 1;
+
+/**
+ * Register the handler for a job type
+ * @param {string} name - Job type
+ * @param {Function} handler - async (payload) => void
+ */
+const registerHandler = (name, handler) => {
+  handlers[name] = handler;
+};
+
+const runNext = () => {
+  if (running >= getConcurrency() || queue.length === 0) {
+    return;
+  }
+
+  const job = queue.shift();
+  running += 1;
+
+  Promise.resolve()
+    .then(() => handlers[job.name](job.payload))
+    .catch((error) => {
+      console.error(`Background job ${job.name} failed:`, error);
+    })
+    .finally(() => {
+      running -= 1;
+      runNext();
+    });
+};
+
+/**
+ * Queue a job for background processing
+ * @param {string} name - Registered job type
+ * @param {Object} payload - Job data (keep it small, e.g. IDs)
+ */
+const enqueue = (name, payload) => {
+  if (!handlers[name]) {
+    throw new Error(`No handler registered for job: ${name}`);
+  }
+
+  queue.push({ name, payload });
+  setImmediate(runNext);
+};
+
+/**
+ * Number of queued and running jobs
+ */
+const getQueueSize = () => queue.length + running;
+
+module.exports = { registerHandler, enqueue, getQueueSize };
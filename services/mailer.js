@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Pluggable mail delivery
+ *
+ * A transport is an object with an async send(message) method, where
+ * message = { from, to, subject, text, html }. The active transport is
+ * chosen with MAIL_TRANSPORT (console | file | smtp, default console).
+ * Additional transports can be added with registerTransport().
+ */
+
+const transports = {
+  // Development: print the message to stdout
+  console: () => ({
+    send: async (message) => {
+      console.log('---------- Outgoing email ----------');
+      console.log(`From: ${message.from}`);
+      console.log(`To: ${message.to}`);
+      console.log(`Subject: ${message.subject}`);
+      console.log('');
+      console.log(message.text);
+      console.log('------------------------------------');
+      return { transport: 'console' };
+    }
+  }),
+
+  // Development/tests: write each message as a JSON file to MAIL_DIR
+  file: () => {
+    const mailDir = process.env.MAIL_DIR || './mail';
+    if (!fs.existsSync(mailDir)) {
+      fs.mkdirSync(mailDir, { recursive: true });
+    }
+
+    return {
+      send: async (message) => {
+        const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+        const filePath = path.join(mailDir, fileName);
+        await fs.promises.writeFile(filePath, JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2));
+        return { transport: 'file', path: filePath };
+      }
+    };
+  },
+
+  // Production: deliver through an SMTP server
+  smtp: () => {
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        return { transport: 'smtp', messageId: info.messageId };
+      }
+    };
+  }
+};
+
+let activeTransport = null;
+
+/**
+ * Register (or replace) a transport factory
+ * @param {string} name - Transport name used in MAIL_TRANSPORT
+ * @param {Function} factory - Returns an object with async send(message)
+ */
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+  activeTransport = null;
+};
+
+/**
+ * Override the active transport directly (e.g. an in-memory transport in tests)
+ * @param {Object|null} transport - Object with async send(message), or null to reset
+ */
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transports[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} Transport-specific delivery info
+ */
+const sendMail = async (message) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Student Resource Hub <no-reply@localhost>',
+    ...message
+  });
+};
+
+module.exports = { sendMail, registerTransport, setTransport };
@@ -0,0 +1,130 @@
+const File = require('../models/File');
+const User = require('../models/User');
+const Report = require('../models/Report');
+const { canModerateCollege } = require('../middleware/auth');
+const { sendFileHiddenEmail } = require('./emails');
+
+/**
+ * Reports and file moderation
+ *
+ * Open reports are counted on File.moderation.openReports. Once a file has
+ * REPORT_HIDE_THRESHOLD open reports (default 3) it is hidden until a
+ * moderator of its college dismisses the reports or acts on them. Hidden
+ * files are only visible to their uploader and the college's moderators.
+ */
+
+const REPORT_HIDE_THRESHOLD = parseInt(process.env.REPORT_HIDE_THRESHOLD) || 3;
+
+/**
+ * Whether a file is hidden from a user
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} file - File document (uploader and college may be populated)
+ * @returns {boolean}
+ */
+const isHiddenFrom = (user, file) => {
+  if (!file.moderation || !file.moderation.hidden) {
+    return false;
+  }
+
+  const uploaderId = file.uploader && file.uploader._id ? file.uploader._id : file.uploader;
+  return uploaderId.toString() !== user._id.toString() && !canModerateCollege(user, file.college);
+};
+
+/**
+ * Email the moderators of the file's college (platform admins when the
+ * college has no moderator). Failures are logged, never thrown.
+ */
+const notifyFileHidden = async (file, openReports) => {
+  try {
+    let recipients = await User.find({ college: file.college, role: 'moderator' }, 'name email');
+    if (recipients.length === 0) {
+      recipients = await User.find({ role: 'admin' }, 'name email');
+    }
+
+    for (const recipient of recipients) {
+      await sendFileHiddenEmail(recipient, file, openReports);
+    }
+  } catch (error) {
+    console.error(`Hidden file notification failed for file ${file._id}:`, error.message);
+  }
+};
+
+/**
+ * Recount the open reports of a file and hide it once the threshold is reached
+ * @param {Object} file - File document
+ * @returns {Promise<Object>} { openReports, autoHidden }
+ */
+const refreshOpenReports = async (file) => {
+  const openReports = await Report.countDocuments({ file: file._id, status: 'open' });
+  await File.updateOne({ _id: file._id }, { $set: { 'moderation.openReports': openReports } });
+
+  let autoHidden = false;
+  if (openReports >= REPORT_HIDE_THRESHOLD) {
+    // Only the request crossing the threshold hides (and notifies)
+    const result = await File.updateOne(
+      { _id: file._id, 'moderation.hidden': { $ne: true } },
+      {
+        $set: {
+          'moderation.hidden': true,
+          'moderation.hiddenAt': new Date(),
+          'moderation.hiddenBy': null,
+          'moderation.hideReason': `Reported by ${openReports} users`
+        }
+      }
+    );
+    autoHidden = result.modifiedCount > 0;
+  }
+
+  if (autoHidden) {
+    await notifyFileHidden(file, openReports);
+  }
+
+  return { openReports, autoHidden };
+};
+
+/**
+ * Close the open reports of a file
+ * @param {string} fileId - File ID
+ * @param {Object} resolution - { status ('dismissed' | 'actioned' | 'closed'), action, by, note }
+ * @returns {Promise<number>} Number of reports closed
+ */
+const resolveReports = async (fileId, { status, action, by, note = null }) => {
+  const { modifiedCount } = await Report.updateMany(
+    { file: fileId, status: 'open' },
+    { $set: { status, resolution: { action, by, note, at: new Date() } } }
+  );
+  await File.updateOne({ _id: fileId }, { $set: { 'moderation.openReports': 0 } });
+  return modifiedCount;
+};
+
+/**
+ * Hide a file or make it visible again
+ * @param {string} fileId - File ID
+ * @param {boolean} hidden - Whether to hide the file
+ * @param {Object} options - { by (moderator ID), reason }
+ */
+const setFileHidden = async (fileId, hidden, { by = null, reason = null } = {}) => {
+  await File.updateOne({ _id: fileId }, {
+    $set: hidden
+      ? {
+        'moderation.hidden': true,
+        'moderation.hiddenAt': new Date(),
+        'moderation.hiddenBy': by,
+        'moderation.hideReason': reason
+      }
+      : {
+        'moderation.hidden': false,
+        'moderation.hiddenAt': null,
+        'moderation.hiddenBy': null,
+        'moderation.hideReason': null
+      }
+  });
+};
+
+module.exports = {
+  REPORT_HIDE_THRESHOLD,
+  isHiddenFrom,
+  refreshOpenReports,
+  resolveReports,
+  setFileHidden
+};
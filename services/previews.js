@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Thumbnail and preview generation
+ *
+ * Images are resized with sharp. PDFs have their first page rendered with
+ * pdftoppm (poppler-utils must be installed on the server). Text files get a
+ * plain-text snippet instead of images.
+ */
+
+const THUMBNAIL_WIDTH = 320;
+const PREVIEW_WIDTH = 1024;
+const TEXT_SNIPPET_CHARS = 2000;
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif'];
+
+/**
+ * Kind of preview a file supports: 'image', 'pdf', 'text' or null
+ * @param {Object} file - { fileType, fileName }
+ */
+const getPreviewKind = ({ fileType, fileName }) => {
+  const ext = path.extname(fileName || '').toLowerCase();
+
+  if (IMAGE_TYPES.includes(fileType) || ['.jpg', '.jpeg', '.png', '.gif'].includes(ext)) {
+    return 'image';
+  }
+  if (fileType === 'application/pdf' || ext === '.pdf') {
+    return 'pdf';
+  }
+  if (fileType === 'text/plain' || ext === '.txt') {
+    return 'text';
+  }
+  return null;
+};
+
+/**
+ * Resize an image to PNG thumbnail and preview renditions
+ * @param {Buffer} image - Source image
+ * @returns {Promise<{ thumbnail: Buffer, preview: Buffer }>}
+ */
+const renderImage = async (image) => {
+  const sharp = require('sharp');
+
+  // Only the first frame of animated GIFs is used
+  const [thumbnail, preview] = await Promise.all([
+    sharp(image).resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true }).png().toBuffer(),
+    sharp(image).resize({ width: PREVIEW_WIDTH, withoutEnlargement: true }).png().toBuffer()
+  ]);
+
+  return { thumbnail, preview };
+};
+
+/**
+ * Render the first page of a PDF to PNG with pdftoppm
+ * @param {Buffer} pdf - PDF content
+ * @returns {Promise<Buffer>} PNG of the first page
+ */
+const renderPdfFirstPage = async (pdf) => {
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'preview-'));
+
+  try {
+    const inputPath = path.join(workDir, 'input.pdf');
+    const outputPrefix = path.join(workDir, 'page');
+    await fs.promises.writeFile(inputPath, pdf);
+
+    try {
+      await execFileAsync('pdftoppm', [
+        '-f', '1', '-l', '1', '-singlefile', '-png',
+        '-scale-to', String(PREVIEW_WIDTH),
+        inputPath, outputPrefix
+      ], { timeout: 30000 });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error('PDF previews require pdftoppm (poppler-utils) on the server');
+      }
+      throw error;
+    }
+
+    return await fs.promises.readFile(`${outputPrefix}.png`);
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Generate preview content for a file
+ * @param {Buffer} buffer - File content
+ * @param {Object} file - { fileType, fileName }
+ * @returns {Promise<Object|null>} { thumbnail, preview } PNG buffers, or { text } for
+ *          text files, or null if the type has no preview
+ */
+const generatePreviews = async (buffer, file) => {
+  const kind = getPreviewKind(file);
+
+  if (kind === 'image') {
+    return renderImage(buffer);
+  }
+  if (kind === 'pdf') {
+    return renderImage(await renderPdfFirstPage(buffer));
+  }
+  if (kind === 'text') {
+    return { text: buffer.toString('utf8').slice(0, TEXT_SNIPPET_CHARS) };
+  }
+  return null;
+};
+
+module.exports = { generatePreviews, getPreviewKind };
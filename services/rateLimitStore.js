@@ -0,0 +1,49 @@
+/**
+ * In-memory fixed-window counter store for rate limiting
+ *
+ * Store interface (implement the same methods to back limits with Redis):
+ *   increment(key, windowMs) -> Promise<{ count, resetAt }>
+ *   reset(key)               -> Promise<void>
+ *
+ * Counters live in this process only, so limits are per instance.
+ */
+class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+
+    // Periodically drop expired windows so the map does not grow unbounded
+    this.cleanupTimer = setInterval(() => this.cleanup(), 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+
+    entry.count += 1;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) {
+        this.hits.delete(key);
+      }
+    }
+  }
+}
+
+// Shared default store used by every limiter unless one is passed explicitly
+const defaultStore = new MemoryStore();
+
+module.exports = { MemoryStore, defaultStore };
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const File = require('../models/File');
+
+/**
+ * Review aggregates denormalized onto File.ratings
+ *
+ * The score used by sort=top is a Bayesian average: every file starts from
+ * PRIOR_WEIGHT imaginary ratings of PRIOR_MEAN, so a single 5-star rating
+ * does not outrank a file rated 4.6 by forty students. Files without any
+ * rating score 0.
+ */
+
+const PRIOR_MEAN = 3;
+const PRIOR_WEIGHT = 5;
+
+/**
+ * Score of a file from its rating sum and count
+ */
+const computeScore = (sum, count) => {
+  if (count === 0) {
+    return 0;
+  }
+  return (sum + PRIOR_MEAN * PRIOR_WEIGHT) / (count + PRIOR_WEIGHT);
+};
+
+/**
+ * Recompute and store the review aggregates of a file
+ * (recomputed from the reviews so concurrent changes cannot drift)
+ * @param {string} fileId - File ID
+ * @returns {Promise<Object>} The new File.ratings
+ */
+const refreshFileRatings = async (fileId) => {
+  const [stats] = await Review.aggregate([
+    { $match: { file: new mongoose.Types.ObjectId(String(fileId)) } },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: { $cond: [{ $isNumber: '$rating' }, 1, 0] } },
+        sum: { $sum: { $ifNull: ['$rating', 0] } },
+        upvotes: { $sum: { $cond: ['$upvote', 1, 0] } },
+        reviews: { $sum: { $cond: [{ $gt: [{ $strLenCP: { $ifNull: ['$text', ''] } }, 0] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const { count = 0, sum = 0, upvotes = 0, reviews = 0 } = stats || {};
+  const ratings = {
+    average: count > 0 ? Math.round((sum / count) * 100) / 100 : 0,
+    count,
+    upvotes,
+    reviews,
+    score: Math.round(computeScore(sum, count) * 1000) / 1000
+  };
+
+  await File.updateOne({ _id: fileId }, { $set: { ratings } });
+  return ratings;
+};
+
+module.exports = { refreshFileRatings };
@@ -0,0 +1,112 @@
+const net = require('net');
+const { once } = require('events');
+
+/**
+ * ClamAV scanner driver
+ * Streams content to a clamd daemon with the INSTREAM command, over TCP or a
+ * Unix socket. Content larger than clamd's StreamMaxLength is reported as an
+ * error, not as clean.
+ */
+class ClamAVScanner {
+  /**
+   * @param {Object} options
+   * @param {string} options.host - clamd host (default 127.0.0.1)
+   * @param {number} options.port - clamd TCP port (default 3310)
+   * @param {string} options.socketPath - Unix socket path (used instead of host/port)
+   * @param {number} options.timeout - Socket inactivity timeout in ms
+   * @param {number} options.chunkSize - Bytes per INSTREAM chunk
+   */
+  constructor({ host = '127.0.0.1', port = 3310, socketPath, timeout = 60000, chunkSize = 64 * 1024 } = {}) {
+    this.name = 'clamav';
+    this.host = host;
+    this.port = port;
+    this.socketPath = socketPath;
+    this.timeout = timeout;
+    this.chunkSize = chunkSize;
+  }
+
+  connect() {
+    const socket = this.socketPath
+      ? net.createConnection({ path: this.socketPath })
+      : net.createConnection({ host: this.host, port: this.port });
+
+    socket.setTimeout(this.timeout, () => {
+      socket.destroy(new Error('ClamAV scan timed out'));
+    });
+
+    return socket;
+  }
+
+  /**
+   * Read clamd's reply (terminated by a NUL byte or the connection closing)
+   */
+  readReply(socket) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      socket.on('data', chunk => chunks.push(chunk));
+      socket.on('end', () => resolve(Buffer.concat(chunks).toString('utf8').replace(/\0+$/, '').trim()));
+      socket.on('error', reject);
+    });
+  }
+
+  /**
+   * Scan a stream
+   * @param {Readable} source - Content to scan
+   * @returns {Promise<{ infected: boolean, threat: string|null }>}
+   */
+  async scan(source) {
+    const socket = this.connect();
+    const reply = this.readReply(socket);
+    // Handled through `reply` or the write loop below
+    reply.catch(() => {});
+
+    try {
+      await once(socket, 'connect');
+      socket.write('zINSTREAM\0');
+
+      for await (const chunk of source) {
+        for (let offset = 0; offset < chunk.length; offset += this.chunkSize) {
+          const part = chunk.subarray(offset, offset + this.chunkSize);
+          const length = Buffer.alloc(4);
+          length.writeUInt32BE(part.length);
+
+          if (!socket.write(Buffer.concat([length, part]))) {
+            await once(socket, 'drain');
+          }
+        }
+      }
+
+      // A zero-length chunk ends the stream
+      socket.end(Buffer.alloc(4));
+    } catch (error) {
+      if (typeof source.destroy === 'function') {
+        source.destroy();
+      }
+      // clamd may answer (e.g. size limit exceeded) and close before reading everything
+      const earlyReply = await reply.catch(() => null);
+      socket.destroy();
+      if (!earlyReply) {
+        throw error;
+      }
+      return this.parseReply(earlyReply);
+    }
+
+    return this.parseReply(await reply);
+  }
+
+  /**
+   * Interpret an INSTREAM reply ("stream: OK", "stream: <name> FOUND", "... ERROR")
+   */
+  parseReply(reply) {
+    const found = reply.match(/^stream: (.+) FOUND$/);
+    if (found) {
+      return { infected: true, threat: found[1] };
+    }
+    if (reply === 'stream: OK') {
+      return { infected: false, threat: null };
+    }
+    throw new Error(`ClamAV error: ${reply || 'empty reply'}`);
+  }
+}
+
+module.exports = ClamAVScanner;
@@ -0,0 +1,50 @@
+/**
+ * Fake scanner driver for development and tests
+ * Flags content containing a known test signature (the EICAR test string by
+ * default) and reports everything else as clean. It does not detect real malware.
+ */
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+class FakeScanner {
+  /**
+   * @param {Object} options
+   * @param {Object} options.signatures - Map of content string -> threat name
+   */
+  constructor({ signatures = { [EICAR]: 'Eicar-Test-Signature' } } = {}) {
+    this.name = 'fake';
+    this.signatures = Object.entries(signatures).map(([pattern, threat]) => ({
+      pattern: Buffer.from(pattern),
+      threat
+    }));
+    this.overlap = Math.max(0, ...this.signatures.map(({ pattern }) => pattern.length - 1));
+  }
+
+  /**
+   * Scan a stream
+   * @param {Readable} source - Content to scan
+   * @returns {Promise<{ infected: boolean, threat: string|null }>}
+   */
+  async scan(source) {
+    let tail = Buffer.alloc(0);
+
+    for await (const chunk of source) {
+      // Keep the end of the previous chunk so signatures split across chunks match
+      const window = Buffer.concat([tail, chunk]);
+      const match = this.signatures.find(({ pattern }) => window.includes(pattern));
+      if (match) {
+        if (typeof source.destroy === 'function') {
+          source.destroy();
+        }
+        return { infected: true, threat: match.threat };
+      }
+      tail = window.subarray(Math.max(0, window.length - this.overlap));
+    }
+
+    return { infected: false, threat: null };
+  }
+}
+
+FakeScanner.EICAR = EICAR;
+
+module.exports = FakeScanner;
@@ -0,0 +1,59 @@
+const ClamAVScanner = require('./clamavScanner');
+const FakeScanner = require('./fakeScanner');
+
+/**
+ * Malware scanner selection
+ *
+ * Every driver implements:
+ *   scan(readable) -> Promise<{ infected: boolean, threat: string|null }>
+ * and rejects when the content could not be scanned.
+ *
+ * The driver is chosen with SCANNER_DRIVER (clamav | fake, default clamav in
+ * production and fake elsewhere). The fake driver only recognizes the EICAR
+ * test file, so production only uses it when it is set explicitly.
+ */
+
+let scanner = null;
+
+const createScanner = () => {
+  const driver = process.env.SCANNER_DRIVER ||
+    (process.env.NODE_ENV === 'production' ? 'clamav' : 'fake');
+
+  if (driver === 'clamav') {
+    return new ClamAVScanner({
+      host: process.env.CLAMAV_HOST,
+      port: parseInt(process.env.CLAMAV_PORT) || undefined,
+      socketPath: process.env.CLAMAV_SOCKET,
+      timeout: parseInt(process.env.CLAMAV_TIMEOUT) || undefined
+    });
+  }
+
+  if (driver === 'fake') {
+    if (process.env.NODE_ENV === 'production') {
+      console.warn('⚠️  SCANNER_DRIVER is fake: uploads are not scanned for malware');
+    }
+    return new FakeScanner();
+  }
+
+  throw new Error(`Unknown scanner driver: ${driver}`);
+};
+
+/**
+ * Get the configured scanner (created once per process)
+ */
+const getScanner = () => {
+  if (!scanner) {
+    scanner = createScanner();
+  }
+  return scanner;
+};
+
+/**
+ * Override the scanner (e.g. a FakeScanner with custom signatures in tests)
+ * @param {Object|null} driver - Scanner driver, or null to fall back to config
+ */
+const setScanner = (driver) => {
+  scanner = driver;
+};
+
+module.exports = { getScanner, setScanner, ClamAVScanner, FakeScanner };
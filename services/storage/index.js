@@ -0,0 +1,90 @@
+const path = require('path');
+const LocalStorage = require('./localStorage');
+const S3Storage = require('./s3Storage');
+
+/**
+ * Storage adapter selection
+ *
+ * Every driver implements the same interface:
+ *   put(key, streamOrBuffer, { contentType }) -> Promise<{ key, size }>
+ *   getStream(key, { start, end })            -> Promise<Readable>
+ *   stat(key)                                 -> Promise<{ size, lastModified } | null>
+ *   exists(key)                               -> Promise<boolean>
+ *   move(fromKey, toKey)                      -> Promise<void>
+ *   delete(key)                               -> Promise<void>
+ *   getSignedUrl(key, { expiresIn })          -> Promise<string>
+ *
+ * The driver is chosen with STORAGE_DRIVER (local | s3, default local).
+ */
+
+let storage = null;
+
+const createStorage = () => {
+  const driver = process.env.STORAGE_DRIVER || 'local';
+
+  if (driver === 'local') {
+    const uploadPath = process.env.UPLOAD_PATH || './uploads';
+    return new LocalStorage({
+      root: path.isAbsolute(uploadPath) ? uploadPath : path.join(__dirname, '..', '..', uploadPath)
+    });
+  }
+
+  if (driver === 's3') {
+    return new S3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      prefix: process.env.S3_PREFIX || ''
+    });
+  }
+
+  throw new Error(`Unknown storage driver: ${driver}`);
+};
+
+/**
+ * Get the configured storage driver (created once per process)
+ */
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+};
+
+/**
+ * Override the storage driver (e.g. a driver pointed at a local MinIO in tests)
+ * @param {Object|null} driver - Storage driver, or null to fall back to config
+ */
+const setStorage = (driver) => {
+  storage = driver;
+};
+
+/**
+ * Read a whole stored object into memory
+ * @param {string} key - Object key
+ * @param {Object} options - { maxBytes } rejects objects larger than this
+ * @returns {Promise<Buffer>}
+ */
+const readObject = async (key, { maxBytes = Infinity } = {}) => {
+  const stream = await getStorage().getStream(key);
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of stream) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      if (typeof stream.destroy === 'function') {
+        stream.destroy();
+      }
+      throw new Error(`Object ${key} exceeds ${maxBytes} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+};
+
+module.exports = { getStorage, setStorage, readObject };
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Local disk storage driver
+ * Objects are stored as files below the root directory (UPLOAD_PATH)
+ */
+class LocalStorage {
+  /**
+   * @param {Object} options
+   * @param {string} options.root - Root directory for stored objects
+   * @param {string} options.publicPath - URL path the app serves objects from
+   */
+  constructor({ root, publicPath = '/uploads' }) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+    this.publicPath = publicPath;
+
+    if (!fs.existsSync(this.root)) {
+      fs.mkdirSync(this.root, { recursive: true });
+    }
+  }
+
+  /**
+   * Resolve a key to an absolute path, refusing keys that escape the root
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (filePath !== this.root && !filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, source) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    if (Buffer.isBuffer(source)) {
+      await fs.promises.writeFile(filePath, source);
+    } else {
+      await pipeline(source, fs.createWriteStream(filePath));
+    }
+
+    const stats = await fs.promises.stat(filePath);
+    return { key, size: stats.size };
+  }
+
+  async getStream(key, range = {}) {
+    return fs.createReadStream(this.resolve(key), range);
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolve(key));
+      return { size: stats.size, lastModified: stats.mtime };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    return (await this.stat(key)) !== null;
+  }
+
+  async move(fromKey, toKey) {
+    const toPath = this.resolve(toKey);
+    await fs.promises.mkdir(path.dirname(toPath), { recursive: true });
+    await fs.promises.rename(this.resolve(fromKey), toPath);
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Build a time-limited URL served by the app's /uploads route
+   * @param {string} key - Object key
+   * @param {Object} options - { expiresIn } in seconds (default 300)
+   */
+  async getSignedUrl(key, { expiresIn = 300 } = {}) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const signature = this.sign(key, expires);
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    return `${this.publicPath}/${encodedKey}?expires=${expires}&signature=${signature}`;
+  }
+
+  /**
+   * Check a signature produced by getSignedUrl
+   */
+  verifySignedUrl(key, expires, signature) {
+    if (!expires || !signature || Number(expires) < Date.now() / 1000) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(key, expires));
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  sign(key, expires) {
+    return crypto
+      .createHmac('sha256', process.env.JWT_SECRET)
+      .update(`${key}:${expires}`)
+      .digest('hex');
+  }
+}
+
+module.exports = LocalStorage;
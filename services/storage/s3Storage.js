@@ -0,0 +1,123 @@
+const {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+/**
+ * S3-compatible storage driver (AWS S3, MinIO, Cloudflare R2, ...)
+ */
+class S3Storage {
+  /**
+   * @param {Object} options
+   * @param {string} options.bucket - Bucket name
+   * @param {string} options.region - Region (any value for MinIO)
+   * @param {string} options.endpoint - Custom endpoint for S3-compatible services
+   * @param {boolean} options.forcePathStyle - Use path-style URLs (required by MinIO)
+   * @param {string} options.prefix - Key prefix inside the bucket
+   */
+  constructor({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, prefix = '' }) {
+    if (!bucket) {
+      throw new Error('S3 storage requires a bucket (S3_BUCKET)');
+    }
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.prefix = prefix;
+    this.client = new S3Client({
+      region: region || 'us-east-1',
+      endpoint: endpoint || undefined,
+      forcePathStyle: !!forcePathStyle,
+      credentials: accessKeyId
+        ? { accessKeyId, secretAccessKey }
+        : undefined
+    });
+  }
+
+  objectKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  async put(key, source, { contentType } = {}) {
+    // Multipart upload streams without knowing the length up front
+    const upload = new Upload({
+      client: this.client,
+      params: {
+        Bucket: this.bucket,
+        Key: this.objectKey(key),
+        Body: source,
+        ContentType: contentType
+      }
+    });
+    await upload.done();
+
+    const stats = await this.stat(key);
+    return { key, size: stats ? stats.size : 0 };
+  }
+
+  async getStream(key, { start, end } = {}) {
+    const range = start !== undefined
+      ? `bytes=${start}-${end !== undefined ? end : ''}`
+      : undefined;
+
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Range: range
+    }));
+    return response.Body;
+  }
+
+  async stat(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+      return { size: response.ContentLength, lastModified: response.LastModified };
+    } catch (error) {
+      if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    return (await this.stat(key)) !== null;
+  }
+
+  async move(fromKey, toKey) {
+    await this.client.send(new CopyObjectCommand({
+      Bucket: this.bucket,
+      CopySource: encodeURI(`${this.bucket}/${this.objectKey(fromKey)}`),
+      Key: this.objectKey(toKey)
+    }));
+    await this.delete(fromKey);
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+  }
+
+  /**
+   * Pre-signed GET URL pointing directly at the bucket
+   * @param {string} key - Object key
+   * @param {Object} options - { expiresIn } in seconds (default 300)
+   */
+  async getSignedUrl(key, { expiresIn = 300 } = {}) {
+    return getSignedUrl(this.client, new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }), { expiresIn });
+  }
+}
+
+module.exports = S3Storage;
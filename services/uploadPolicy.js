@@ -0,0 +1,49 @@
+const College = require('../models/College');
+const { FILE_TYPES, FILE_TYPE_NAMES } = require('./fileTypes');
+
+/**
+ * Per-college upload restrictions
+ *
+ * A college's uploadPolicy may narrow the accepted file types and set its own
+ * per-file size limit; anything it leaves unset falls back to every supported
+ * type and MAX_FILE_SIZE.
+ */
+
+const getDefaultMaxFileSize = () => parseInt(process.env.MAX_FILE_SIZE) || 10485760; // Default: 10MB
+
+/**
+ * Effective upload policy of a college
+ * @param {string} collegeId - College ID
+ * @returns {Promise<{ allowedTypes: string[], maxFileSize: number }>}
+ */
+const getUploadPolicy = async (collegeId) => {
+  const college = await College.findById(collegeId).select('uploadPolicy').lean();
+  const policy = (college && college.uploadPolicy) || {};
+
+  return {
+    allowedTypes: policy.allowedTypes && policy.allowedTypes.length
+      ? policy.allowedTypes
+      : FILE_TYPE_NAMES,
+    maxFileSize: policy.maxFileSize || getDefaultMaxFileSize()
+  };
+};
+
+/**
+ * Human-readable list of a policy's allowed types (e.g. "PDF, DOCX, ZIP")
+ */
+const describeAllowedTypes = (policy) => {
+  return policy.allowedTypes.map(name => FILE_TYPES[name].label).join(', ');
+};
+
+/**
+ * Human-readable size (e.g. "10MB")
+ */
+const formatFileSize = (bytes) => {
+  const megabytes = bytes / (1024 * 1024);
+  if (megabytes >= 1) {
+    return `${Number.isInteger(megabytes) ? megabytes : megabytes.toFixed(1)}MB`;
+  }
+  return `${Math.ceil(bytes / 1024)}KB`;
+};
+
+module.exports = { getUploadPolicy, describeAllowedTypes, formatFileSize };
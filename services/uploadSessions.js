@@ -0,0 +1,63 @@
+const { Readable } = require('stream');
+const UploadSession = require('../models/UploadSession');
+const { getStorage } = require('./storage');
+
+/**
+ * Chunk storage for resumable uploads (routes/uploadSessions.js)
+ *
+ * Every chunk is stored as its own object below chunks/<session id>/, so the
+ * protocol works the same on local disk and S3. On completion the chunks are
+ * read back in order as one stream and ingested like any other upload.
+ */
+
+const CHUNK_PREFIX = 'chunks/';
+
+/**
+ * Storage key of the chunk starting at a byte offset
+ */
+const getChunkKey = (sessionId, offset) => {
+  return `${CHUNK_PREFIX}${sessionId}/${String(offset).padStart(12, '0')}`;
+};
+
+/**
+ * Stream the chunks of a session in order, as the assembled file
+ * @param {Object} session - UploadSession document
+ * @returns {Readable}
+ */
+const createAssembledStream = (session) => {
+  const chunks = [...session.chunks].sort((a, b) => a.offset - b.offset);
+
+  return Readable.from((async function* () {
+    for (const chunk of chunks) {
+      yield* await getStorage().getStream(chunk.key);
+    }
+  })());
+};
+
+/**
+ * Delete the stored chunks of a session (missing chunks are ignored)
+ * @param {Object} session - UploadSession document
+ */
+const deleteChunks = async (session) => {
+  const storage = getStorage();
+  for (const chunk of session.chunks) {
+    await storage.delete(chunk.key).catch(() => {});
+  }
+};
+
+/**
+ * Remove expired sessions with their chunks
+ * @returns {Promise<number>} Number of sessions removed
+ */
+const cleanupStaleUploads = async () => {
+  const sessions = await UploadSession.find({ expiresAt: { $lt: new Date() } });
+
+  for (const session of sessions) {
+    await deleteChunks(session);
+    await UploadSession.deleteOne({ _id: session._id });
+  }
+
+  return sessions.length;
+};
+
+module.exports = { CHUNK_PREFIX, getChunkKey, createAssembledStream, deleteChunks, cleanupStaleUploads };
@@ -0,0 +1,230 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { objectId, makeUser, signIn, findsFile, createApp, request } = require('./helpers');
+const File = require('../models/File');
+const { setStorage } = require('../services/storage');
+const LocalStorage = require('../services/storage/localStorage');
+
+/**
+ * College scoping, verification, hidden files and scan gating on
+ * /uploads/* and /api/files
+ */
+
+const app = createApp((server) => {
+  server.use('/uploads', require('../routes/uploads'));
+  server.use('/api/files', require('../routes/files'));
+});
+
+const makeFile = ({ college, uploader = objectId(), scan = 'clean', hidden = false } = {}) => new File({
+  fileName: 'notes.pdf',
+  fileUrl: '/uploads/blobs/ab/abc.pdf',
+  storageKey: 'blobs/ab/abc.pdf',
+  fileType: 'application/pdf',
+  fileSize: 5,
+  semester: '3',
+  course: 'Data Structures',
+  college,
+  uploader,
+  scan: { status: scan },
+  moderation: { hidden }
+});
+
+describe('/uploads/*', () => {
+  let root;
+  let storage;
+
+  before(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-test-'));
+    storage = new LocalStorage({ root });
+    setStorage(storage);
+    await storage.put('blobs/ab/abc.pdf', require('stream').Readable.from([Buffer.from('%PDF-')]));
+  });
+
+  after(() => {
+    setStorage(null);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('requires an access token or a signed URL', async () => {
+    const res = await request(app, 'GET', '/uploads/blobs/ab/abc.pdf');
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'NO_TOKEN');
+  });
+
+  test('rejects a tampered signature', async () => {
+    const res = await request(app, 'GET', '/uploads/blobs/ab/abc.pdf?expires=9999999999&signature=forged');
+
+    assert.equal(res.status, 403);
+  });
+
+  test('requires a verified email without a signed URL', async (t) => {
+    const token = signIn(t, makeUser({ isVerified: false }));
+
+    const res = await request(app, 'GET', '/uploads/blobs/ab/abc.pdf', { token });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, 'EMAIL_NOT_VERIFIED');
+  });
+
+  test('only serves clean, visible files of the user\'s college', async (t) => {
+    const user = makeUser();
+    const token = signIn(t, user);
+    const exists = t.mock.method(File, 'exists', async () => null);
+
+    const res = await request(app, 'GET', '/uploads/blobs/ab/abc.pdf', { token });
+
+    assert.equal(res.status, 404);
+    const [filter] = exists.mock.calls[0].arguments;
+    for (const branch of filter.$or) {
+      assert.equal(branch.college, user.college._id);
+      assert.deepEqual(branch['moderation.hidden'], { $ne: true });
+    }
+  });
+
+  test('serves a file of the user\'s college', async (t) => {
+    const token = signIn(t, makeUser());
+    t.mock.method(File, 'exists', async () => ({ _id: objectId() }));
+
+    const res = await request(app, 'GET', '/uploads/blobs/ab/abc.pdf', { token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.text, '%PDF-');
+  });
+
+  test('serves a signed URL without a token, still never hidden files', async (t) => {
+    const exists = t.mock.method(File, 'exists', async () => ({ _id: objectId() }));
+    const url = await storage.getSignedUrl('blobs/ab/abc.pdf');
+
+    const res = await request(app, 'GET', url);
+
+    assert.equal(res.status, 200);
+    const [filter] = exists.mock.calls[0].arguments;
+    for (const branch of filter.$or) {
+      assert.equal(branch.college, undefined);
+      assert.deepEqual(branch['moderation.hidden'], { $ne: true });
+    }
+  });
+});
+
+describe('GET /api/files', () => {
+  // File.find as a chainable query resolving to no files
+  const capturesListing = (t) => {
+    t.mock.method(File, 'countDocuments', async () => 0);
+    return t.mock.method(File, 'find', () => {
+      const query = {
+        select: () => query,
+        sort: () => query,
+        limit: () => query,
+        skip: () => query,
+        populate: () => query,
+        lean: async () => []
+      };
+      return query;
+    });
+  };
+
+  test('lists only visible files of the user\'s college', async (t) => {
+    const user = makeUser();
+    const token = signIn(t, user);
+    const find = capturesListing(t);
+
+    const res = await request(app, 'GET', '/api/files', { token });
+
+    assert.equal(res.status, 200);
+    const [filter] = find.mock.calls[0].arguments;
+    assert.equal(filter.college, user.college._id);
+    assert.deepEqual(filter['moderation.hidden'], { $ne: true });
+  });
+
+  test('includes hidden files for the college\'s moderators', async (t) => {
+    const moderator = makeUser({ role: 'moderator' });
+    const token = signIn(t, moderator);
+    const find = capturesListing(t);
+
+    const res = await request(app, 'GET', '/api/files', { token });
+
+    assert.equal(res.status, 200);
+    const [filter] = find.mock.calls[0].arguments;
+    assert.equal(filter.college, moderator.college._id);
+    assert.equal(filter['moderation.hidden'], undefined);
+  });
+});
+
+describe('GET /api/files/:id/download', () => {
+  test('refuses files of another college', async (t) => {
+    const token = signIn(t, makeUser());
+    const file = makeFile({ college: objectId() });
+    findsFile(t, file);
+
+    const res = await request(app, 'GET', `/api/files/${file._id}/download`, { token });
+
+    assert.equal(res.status, 403);
+  });
+
+  test('reports hidden files as missing to other students', async (t) => {
+    const user = makeUser();
+    const token = signIn(t, user);
+    const file = makeFile({ college: user.college._id, hidden: true });
+    findsFile(t, file);
+
+    const res = await request(app, 'GET', `/api/files/${file._id}/download`, { token });
+
+    assert.equal(res.status, 404);
+  });
+
+  test('requires a verified email', async (t) => {
+    const user = makeUser({ isVerified: false });
+    const token = signIn(t, user);
+    const file = makeFile({ college: user.college._id });
+    findsFile(t, file);
+
+    const res = await request(app, 'GET', `/api/files/${file._id}/download`, { token });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, 'EMAIL_NOT_VERIFIED');
+  });
+
+  test('blocks content until it passed its malware scan', async (t) => {
+    const user = makeUser();
+    const token = signIn(t, user);
+
+    // The uploader still sees their hidden file, but not before it is scanned
+    for (const [scan, status, code] of [['pending', 409, 'SCAN_PENDING'], ['error', 409, 'SCAN_FAILED'], ['infected', 403, 'FILE_INFECTED']]) {
+      const file = makeFile({ college: user.college._id, uploader: user._id, scan, hidden: true });
+      findsFile(t, file);
+
+      const res = await request(app, 'GET', `/api/files/${file._id}/download`, { token });
+
+      assert.equal(res.status, status);
+      assert.equal(res.body.code, code);
+    }
+  });
+});
+
+describe('GET /api/files/:id/thumbnail', () => {
+  test('applies the college check', async (t) => {
+    const token = signIn(t, makeUser());
+    const file = makeFile({ college: objectId() });
+    findsFile(t, file);
+
+    const res = await request(app, 'GET', `/api/files/${file._id}/thumbnail`, { token });
+
+    assert.equal(res.status, 403);
+  });
+
+  test('applies the same scan rules as download', async (t) => {
+    const user = makeUser();
+    const token = signIn(t, user);
+    const file = makeFile({ college: user.college._id, scan: 'pending' });
+    findsFile(t, file);
+
+    const res = await request(app, 'GET', `/api/files/${file._id}/thumbnail`, { token });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'SCAN_PENDING');
+  });
+});
@@ -0,0 +1,133 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, makeUser, signIn, createApp, request } = require('./helpers');
+const RefreshToken = require('../models/RefreshToken');
+const { protect, generateToken } = require('../middleware/auth');
+
+/**
+ * Refresh token rotation and reuse detection (POST /api/token/refresh)
+ */
+
+// Stand-in for the refreshtokens collection, with the queries RefreshToken uses
+let tokens;
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, value]) => (
+  value === null ? doc[field] == null : String(doc[field]) === String(value)
+));
+
+const apply = (doc, update) => Object.assign(doc, update.$set || update);
+
+const useMemoryTokens = (t) => {
+  tokens = [];
+  t.mock.method(RefreshToken, 'create', async (fields) => {
+    const doc = { _id: objectId(), revokedAt: null, revokedReason: null, replacedBy: null, ...fields };
+    tokens.push(doc);
+    return doc;
+  });
+  t.mock.method(RefreshToken, 'findOne', async filter => tokens.find(doc => matches(doc, filter)) || null);
+  t.mock.method(RefreshToken, 'findOneAndUpdate', async (filter, update) => {
+    const doc = tokens.find(candidate => matches(candidate, filter));
+    return doc ? apply(doc, update) : null;
+  });
+  t.mock.method(RefreshToken, 'updateMany', async (filter, update) => {
+    const docs = tokens.filter(doc => matches(doc, filter));
+    docs.forEach(doc => apply(doc, update));
+    return { modifiedCount: docs.length };
+  });
+  t.mock.method(RefreshToken, 'exists', async filter => tokens.some(doc => matches(doc, filter)));
+};
+
+describe('refresh token rotation', () => {
+  beforeEach((t) => useMemoryTokens(t));
+
+  test('issues a new token in the same session and retires the old one', async () => {
+    const first = await RefreshToken.issue(objectId());
+    const result = await RefreshToken.rotate(first.token);
+
+    assert.equal(result.status, 'ok');
+    assert.notEqual(result.token, first.token);
+    assert.equal(result.doc.family, first.doc.family);
+    assert.equal(first.doc.revokedReason, 'rotated');
+    assert.equal(first.doc.replacedBy, result.doc.tokenHash);
+  });
+
+  test('revokes the whole session when a rotated token is presented again', async () => {
+    const first = await RefreshToken.issue(objectId());
+    const second = await RefreshToken.rotate(first.token);
+
+    const reused = await RefreshToken.rotate(first.token);
+
+    assert.equal(reused.status, 'reused');
+    assert.equal(second.doc.revokedReason, 'reuse_detected');
+    assert.equal(await RefreshToken.isFamilyActive(first.doc.family), false);
+    assert.equal((await RefreshToken.rotate(second.token)).status, 'revoked');
+  });
+
+  test('lets only one of two concurrent rotations win', async () => {
+    const first = await RefreshToken.issue(objectId());
+
+    const results = await Promise.all([RefreshToken.rotate(first.token), RefreshToken.rotate(first.token)]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['ok', 'reused']);
+    assert.equal(await RefreshToken.isFamilyActive(first.doc.family), false);
+  });
+
+  test('rejects expired and unknown tokens', async () => {
+    const first = await RefreshToken.issue(objectId());
+    first.doc.expiresAt = new Date(Date.now() - 1000);
+
+    assert.equal((await RefreshToken.rotate(first.token)).status, 'expired');
+    assert.equal((await RefreshToken.rotate('not-a-token')).status, 'invalid');
+  });
+
+  test('answers a reused token with 401 REFRESH_TOKEN_REUSED', async () => {
+    const app = createApp(server => server.use('/api', require('../routes/auth')));
+    const first = await RefreshToken.issue(objectId());
+    await RefreshToken.rotate(first.token);
+
+    const res = await request(app, 'POST', '/api/token/refresh', { body: { refreshToken: first.token } });
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'REFRESH_TOKEN_REUSED');
+  });
+});
+
+describe('access tokens', () => {
+  beforeEach((t) => useMemoryTokens(t));
+
+  const app = createApp(server => server.get('/me', protect, (req, res) => res.json({ id: req.user._id })));
+
+  test('are accepted while their session is active', async (t) => {
+    const user = makeUser();
+    signIn(t, user);
+    const { doc } = await RefreshToken.issue(user._id);
+
+    const res = await request(app, 'GET', '/me', { token: generateToken(user, doc.family) });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.id, user._id.toString());
+  });
+
+  test('are revoked with their session', async (t) => {
+    const user = makeUser();
+    signIn(t, user);
+    const { doc } = await RefreshToken.issue(user._id);
+    await RefreshToken.revokeFamily(doc.family);
+
+    const res = await request(app, 'GET', '/me', { token: generateToken(user, doc.family) });
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'TOKEN_REVOKED');
+  });
+
+  test('are revoked by a token version change (log out everywhere)', async (t) => {
+    const user = makeUser();
+    const token = signIn(t, user);
+    user.tokenVersion = 1;
+
+    const res = await request(app, 'GET', '/me', { token });
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'TOKEN_REVOKED');
+  });
+});
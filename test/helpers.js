@@ -0,0 +1,110 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const http = require('http');
+const express = require('express');
+const mongoose = require('mongoose');
+const { setTransport } = require('../services/mailer');
+
+/**
+ * Shared helpers for the behavior tests (node --test)
+ *
+ * No database is used: tests replace the model methods a route calls with
+ * t.mock.method(), and any call that was not mocked fails immediately
+ * instead of waiting for a connection.
+ */
+
+mongoose.set('bufferCommands', false);
+
+// Emails are collected instead of printed
+const sentMail = [];
+setTransport({ send: async (message) => { sentMail.push(message); } });
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+/**
+ * A user as protect() leaves it on req.user (college populated)
+ */
+const makeUser = ({ college = objectId(), role = 'student', isVerified = true } = {}) => ({
+  _id: objectId(),
+  name: 'Test User',
+  email: 'test.user@college.edu',
+  role,
+  isVerified,
+  isBanned: false,
+  tokenVersion: 0,
+  college: { _id: college, name: 'Test College', domain: 'college.edu' }
+});
+
+/**
+ * Log a user in: protect() finds them and accepts the returned access token
+ */
+const signIn = (t, user) => {
+  const User = require('../models/User');
+  const { generateToken } = require('../middleware/auth');
+
+  t.mock.method(User, 'findById', () => ({
+    select() {
+      return this;
+    },
+    populate: async () => user
+  }));
+  return generateToken(user);
+};
+
+/**
+ * Make File.findById return a file, both awaited directly and after populate()
+ */
+const findsFile = (t, file) => {
+  const File = require('../models/File');
+
+  return t.mock.method(File, 'findById', () => {
+    const query = Promise.resolve(file);
+    query.populate = () => query;
+    return query;
+  });
+};
+
+/**
+ * Express app with JSON parsing and the given routes mounted
+ */
+const createApp = (mount) => {
+  const app = express();
+  app.use(express.json());
+  mount(app);
+  return app;
+};
+
+/**
+ * Send one request to the app on an ephemeral port
+ * @returns {Promise<{ status, headers, body, text }>} body is the parsed JSON (or null)
+ */
+const request = async (app, method, path, { token, body, headers = {} } = {}) => {
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method,
+      redirect: 'manual',
+      headers: {
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      // Not JSON (e.g. a served file)
+    }
+    return { status: response.status, headers: response.headers, body: json, text };
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+};
+
+module.exports = { sentMail, objectId, makeUser, signIn, findsFile, createApp, request };
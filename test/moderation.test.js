@@ -0,0 +1,194 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { sentMail, objectId, makeUser, signIn, findsFile, createApp, request } = require('./helpers');
+const File = require('../models/File');
+const User = require('../models/User');
+const Report = require('../models/Report');
+const Review = require('../models/Review');
+const Comment = require('../models/Comment');
+const Bookmark = require('../models/Bookmark');
+const Collection = require('../models/Collection');
+const { REPORT_HIDE_THRESHOLD, isHiddenFrom, refreshOpenReports } = require('../services/moderation');
+
+/**
+ * Report threshold, automatic hiding and report resolution on file deletion
+ */
+
+const app = createApp((server) => {
+  server.use('/api/files', require('../routes/files'));
+  server.use('/api/files/:id/report', require('../routes/reports'));
+});
+
+const makeFile = ({ college = objectId(), uploader = objectId(), hidden = false } = {}) => new File({
+  fileName: 'notes.pdf',
+  fileUrl: '/uploads/blobs/ab/abc.pdf',
+  storageKey: 'blobs/ab/abc.pdf',
+  fileType: 'application/pdf',
+  fileSize: 5,
+  semester: '3',
+  course: 'Data Structures',
+  college,
+  uploader,
+  scan: { status: 'clean' },
+  moderation: { hidden }
+});
+
+/**
+ * Report and File writes of refreshOpenReports, with `openReports` open
+ * reports counted and the hide update matching unless the file is already hidden
+ */
+const countsReports = (t, openReports, { alreadyHidden = false } = {}) => {
+  t.mock.method(Report, 'countDocuments', async () => openReports);
+  return t.mock.method(File, 'updateOne', async filter => ({
+    modifiedCount: filter['moderation.hidden'] && alreadyHidden ? 0 : 1
+  }));
+};
+
+const hideUpdates = updateOne => updateOne.mock.calls
+  .map(call => call.arguments)
+  .filter(([, update]) => update.$set['moderation.hidden'] === true);
+
+describe('isHiddenFrom', () => {
+  test('hides a hidden file from other students only', () => {
+    const student = makeUser();
+    const uploader = makeUser({ college: student.college._id });
+    const file = makeFile({ college: student.college._id, uploader: uploader._id, hidden: true });
+
+    assert.equal(isHiddenFrom(student, file), true);
+    assert.equal(isHiddenFrom(uploader, file), false);
+    assert.equal(isHiddenFrom(makeUser({ college: student.college._id, role: 'moderator' }), file), false);
+    assert.equal(isHiddenFrom(makeUser({ role: 'moderator' }), file), true);
+    assert.equal(isHiddenFrom(student, makeFile({ college: student.college._id })), false);
+  });
+});
+
+describe('refreshOpenReports', () => {
+  test('keeps the file visible below the threshold', async (t) => {
+    const updateOne = countsReports(t, REPORT_HIDE_THRESHOLD - 1);
+    const file = makeFile();
+
+    const result = await refreshOpenReports(file);
+
+    assert.deepEqual(result, { openReports: REPORT_HIDE_THRESHOLD - 1, autoHidden: false });
+    assert.equal(hideUpdates(updateOne).length, 0);
+  });
+
+  test('hides the file at the threshold and emails the college\'s moderators', async (t) => {
+    const updateOne = countsReports(t, REPORT_HIDE_THRESHOLD);
+    const find = t.mock.method(User, 'find', async () => [{ name: 'Moderator', email: 'moderator@college.edu' }]);
+    const file = makeFile();
+    sentMail.length = 0;
+
+    const result = await refreshOpenReports(file);
+
+    assert.deepEqual(result, { openReports: REPORT_HIDE_THRESHOLD, autoHidden: true });
+    const [[filter]] = hideUpdates(updateOne);
+    assert.equal(filter._id, file._id);
+    assert.deepEqual(filter['moderation.hidden'], { $ne: true });
+    assert.deepEqual(find.mock.calls[0].arguments[0], { college: file.college, role: 'moderator' });
+    assert.deepEqual(sentMail.map(message => message.to), ['moderator@college.edu']);
+  });
+
+  test('does not notify again for a file that is already hidden', async (t) => {
+    countsReports(t, REPORT_HIDE_THRESHOLD + 1, { alreadyHidden: true });
+    const find = t.mock.method(User, 'find', async () => []);
+    sentMail.length = 0;
+
+    const result = await refreshOpenReports(makeFile({ hidden: true }));
+
+    assert.equal(result.autoHidden, false);
+    assert.equal(find.mock.callCount(), 0);
+    assert.equal(sentMail.length, 0);
+  });
+});
+
+describe('POST /api/files/:id/report', () => {
+  test('refuses reports of your own file', async (t) => {
+    const user = makeUser();
+    const token = signIn(t, user);
+    const file = makeFile({ college: user.college._id, uploader: user._id });
+    findsFile(t, file);
+    const create = t.mock.method(Report, 'create', async fields => fields);
+
+    const res = await request(app, 'POST', `/api/files/${file._id}/report`, { token, body: { reason: 'spam' } });
+
+    assert.equal(res.status, 400);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  test('hides the file with the report reaching the threshold', async (t) => {
+    const user = makeUser();
+    const token = signIn(t, user);
+    const file = makeFile({ college: user.college._id });
+    findsFile(t, file);
+    t.mock.method(Report, 'create', async fields => ({ _id: objectId(), status: 'open', ...fields }));
+    const updateOne = countsReports(t, REPORT_HIDE_THRESHOLD);
+    t.mock.method(User, 'find', async () => []);
+
+    const res = await request(app, 'POST', `/api/files/${file._id}/report`, { token, body: { reason: 'spam' } });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.status, 'open');
+    assert.equal(hideUpdates(updateOne).length, 1);
+  });
+
+  test('accepts one report per user', async (t) => {
+    const user = makeUser();
+    const token = signIn(t, user);
+    const file = makeFile({ college: user.college._id });
+    findsFile(t, file);
+    t.mock.method(Report, 'create', async () => {
+      throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    });
+
+    const res = await request(app, 'POST', `/api/files/${file._id}/report`, { token, body: { reason: 'spam' } });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'ALREADY_REPORTED');
+  });
+});
+
+describe('DELETE /api/files/:id', () => {
+  // Everything removeFile writes; the blob stays because another file uses it
+  const deletes = (t, file) => {
+    findsFile(t, file);
+    t.mock.method(file, 'deleteOne', async () => {});
+    for (const Model of [Review, Comment, Bookmark]) {
+      t.mock.method(Model, 'deleteMany', async () => ({ deletedCount: 0 }));
+    }
+    t.mock.method(Collection, 'updateMany', async () => ({ modifiedCount: 0 }));
+    t.mock.method(File, 'exists', async () => ({ _id: objectId() }));
+    t.mock.method(File, 'updateOne', async () => ({ modifiedCount: 1 }));
+    return t.mock.method(Report, 'updateMany', async () => ({ modifiedCount: 2 }));
+  };
+
+  test('closes the open reports without actioning them when the uploader deletes', async (t) => {
+    const user = makeUser();
+    const token = signIn(t, user);
+    const file = makeFile({ college: user.college._id, uploader: user._id, hidden: true });
+    const updateMany = deletes(t, file);
+
+    const res = await request(app, 'DELETE', `/api/files/${file._id}`, { token });
+
+    assert.equal(res.status, 200);
+    const [filter, update] = updateMany.mock.calls[0].arguments;
+    assert.deepEqual(filter, { file: file._id, status: 'open' });
+    assert.equal(update.$set.status, 'closed');
+    assert.equal(update.$set.resolution.action, 'deleted_by_uploader');
+  });
+
+  test('actions the open reports when a moderator deletes', async (t) => {
+    const moderator = makeUser({ role: 'moderator' });
+    const token = signIn(t, moderator);
+    const file = makeFile({ college: moderator.college._id, hidden: true });
+    const updateMany = deletes(t, file);
+
+    const res = await request(app, 'DELETE', `/api/files/${file._id}`, { token });
+
+    assert.equal(res.status, 200);
+    const [, update] = updateMany.mock.calls[0].arguments;
+    assert.equal(update.$set.status, 'actioned');
+    assert.equal(update.$set.resolution.action, 'delete');
+    assert.equal(String(update.$set.resolution.by), String(moderator._id));
+  });
+});
@@ -0,0 +1,112 @@
+const { body, query } = require('express-validator');
+
+/**
+ * Academic placement shared by users and files: department (e.g. CSE),
+ * branch/specialization (e.g. CSE-AIML), regulation (syllabus scheme, e.g.
+ * R2021) and academic year (e.g. 2024-25)
+ */
+const ACADEMIC_FIELDS = ['department', 'branch', 'regulation', 'academicYear'];
+
+/**
+ * Fields of a user's profile applied by default to GET /api/files (files
+ * without a value, such as common subjects, always match)
+ */
+const PROFILE_FILTER_FIELDS = ['department', 'branch', 'regulation'];
+
+// Department, branch and regulation codes are stored trimmed and uppercase
+const CODE_MAX_LENGTH = 30;
+
+/**
+ * Stored form of a department, branch or regulation code ("cse " -> "CSE")
+ */
+const normalizeAcademicCode = (value) => String(value).trim().toUpperCase();
+
+/**
+ * Whether a value is an academic year such as 2024-25
+ */
+const isAcademicYear = (value) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(value);
+  return !!match && (Number(match[1]) + 1) % 100 === Number(match[2]);
+};
+
+/**
+ * Validation error messages for academic field values (null/'' allowed)
+ * @returns {string[]}
+ */
+const validateAcademicFields = (values) => {
+  const messages = [];
+  for (const field of ['department', 'branch', 'regulation']) {
+    if (values[field] && String(values[field]).length > CODE_MAX_LENGTH) {
+      messages.push(`${field} cannot exceed ${CODE_MAX_LENGTH} characters`);
+    }
+  }
+  if (values.academicYear && !isAcademicYear(values.academicYear)) {
+    messages.push('academicYear must look like 2024-25');
+  }
+  return messages;
+};
+
+/**
+ * express-validator rules for the academic fields of a request body
+ * (null or an empty string clears a field)
+ */
+const academicBodyRules = () => [
+  ...['department', 'branch', 'regulation'].map(field => body(field)
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: CODE_MAX_LENGTH })
+    .withMessage(`${field} cannot exceed ${CODE_MAX_LENGTH} characters`)),
+  body('academicYear')
+    .optional({ values: 'falsy' })
+    .trim()
+    .custom(isAcademicYear)
+    .withMessage('academicYear must look like 2024-25')
+];
+
+/**
+ * express-validator rules for the academic filters of GET /api/files
+ * ("all" disables a filter, including the profile default)
+ */
+const academicQueryRules = () => [
+  ...['department', 'branch', 'regulation'].map(field => query(field)
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: CODE_MAX_LENGTH })
+    .withMessage(`${field} must be between 1 and ${CODE_MAX_LENGTH} characters`)),
+  query('academicYear')
+    .optional()
+    .trim()
+    .custom(value => value.toLowerCase() === 'all' || isAcademicYear(value))
+    .withMessage('academicYear must look like 2024-25')
+];
+
+/**
+ * Academic fields of a new file: values given with the upload, falling back
+ * to the uploader's profile (an empty value marks the file as shared by all
+ * departments, branches or regulations)
+ * @param {Object} user - Uploader
+ * @param {Object} metadata - Upload metadata
+ * @returns {Object}
+ */
+const resolveAcademicFields = (user, metadata) => {
+  const fields = {};
+  for (const field of ACADEMIC_FIELDS) {
+    const value = metadata[field] !== undefined || field === 'academicYear'
+      ? metadata[field]
+      : user[field];
+    fields[field] = value ? String(value).trim() : null;
+  }
+  return fields;
+};
+
+module.exports = {
+  ACADEMIC_FIELDS,
+  PROFILE_FILTER_FIELDS,
+  CODE_MAX_LENGTH,
+  normalizeAcademicCode,
+  isAcademicYear,
+  validateAcademicFields,
+  academicBodyRules,
+  academicQueryRules,
+  resolveAcademicFields
+};
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const contentDisposition = require('content-disposition');
+const rangeParser = require('range-parser');
+const fresh = require('fresh');
+const { getStorage } = require('../services/storage');
+
+/**
+ * Build a strong ETag for a stored blob (storage keys are never reused)
+ */
+const buildEtag = (storageKey, size) => {
+  const hash = crypto.createHash('sha1').update(storageKey).digest('base64url').slice(0, 27);
+  return `"${hash}-${size.toString(16)}"`;
+};
+
+/**
+ * Transform that verifies the SHA-256 of the streamed content
+ * The last chunk is held back until the digest is checked, so a client never
+ * receives a complete copy of corrupted content (the response is aborted)
+ * @param {string} expected - Expected SHA-256 hex digest
+ * @param {Function} onMismatch - Called with the actual digest on mismatch
+ */
+const createVerifyingStream = (expected, onMismatch) => {
+  const hash = crypto.createHash('sha256');
+  let pending = null;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      const previous = pending;
+      pending = chunk;
+      callback(null, previous);
+    },
+    flush(callback) {
+      const actual = hash.digest('hex');
+      if (actual !== expected) {
+        onMismatch(actual);
+        return callback(new Error('Checksum mismatch: stored file is corrupted'));
+      }
+      callback(null, pending);
+    }
+  });
+};
+
+/**
+ * Whether an If-Range header still matches the current representation
+ */
+const ifRangeMatches = (req, etag, lastModified) => {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) {
+    return true;
+  }
+  if (ifRange.includes('"')) {
+    return ifRange === etag;
+  }
+  return !!lastModified && Date.parse(ifRange) >= Math.floor(lastModified.getTime() / 1000) * 1000;
+};
+
+/**
+ * Stream a stored blob with download semantics:
+ * - Content-Disposition attachment (default) or inline, with an RFC 5987
+ *   encoded filename so non-ASCII names survive
+ * - ETag / Last-Modified and conditional GET (304)
+ * - Single byte-range requests (206, 416), honouring If-Range
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} blob - { storageKey, fileName, fileType, fileSize, checksum, etag, lastModified }
+ * @param {Object} options - { inline, onIntegrityFailure }; full responses of blobs
+ *        with a checksum are verified while streaming, and onIntegrityFailure is
+ *        called if the content does not match
+ * @returns {Promise<Object>} { status, start } of the response that was sent
+ */
+const sendStoredFile = async (req, res, blob, { inline = false, onIntegrityFailure } = {}) => {
+  // Check the blob exists in the configured storage
+  const storage = getStorage();
+  const stats = await storage.stat(blob.storageKey);
+  if (!stats) {
+    res.status(404).json({
+      success: false,
+      message: 'File not found on server'
+    });
+    return { status: 404 };
+  }
+
+  const size = stats.size;
+  const etag = blob.etag || (blob.checksum ? `"${blob.checksum}"` : buildEtag(blob.storageKey, size));
+  const lastModified = blob.lastModified || stats.lastModified;
+
+  res.setHeader('ETag', etag);
+  if (lastModified) {
+    res.setHeader('Last-Modified', lastModified.toUTCString());
+  }
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Cache-Control', 'private, no-cache');
+
+  // Conditional GET: the client's copy is still current
+  if (fresh(req.headers, { etag, 'last-modified': res.getHeader('Last-Modified') })) {
+    res.status(304).end();
+    return { status: 304 };
+  }
+
+  let status = 200;
+  let start = 0;
+  let end = size - 1;
+
+  if (req.headers.range && ifRangeMatches(req, etag, lastModified)) {
+    const ranges = rangeParser(size, req.headers.range, { combine: true });
+
+    if (ranges === -1) {
+      res.setHeader('Content-Range', `bytes */${size}`);
+      res.status(416).json({
+        success: false,
+        message: 'Requested range not satisfiable'
+      });
+      return { status: 416 };
+    }
+
+    // Malformed headers and multi-range requests get the whole file
+    if (ranges !== -2 && ranges.type === 'bytes' && ranges.length === 1) {
+      status = 206;
+      start = ranges[0].start;
+      end = ranges[0].end;
+    }
+  }
+
+  const fileStream = await storage.getStream(blob.storageKey, status === 206 ? { start, end } : {});
+
+  res.status(status);
+  res.setHeader('Content-Disposition', contentDisposition(blob.fileName, { type: inline ? 'inline' : 'attachment' }));
+  res.setHeader('Content-Type', blob.fileType);
+  res.setHeader('Content-Length', end - start + 1);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  if (status === 206) {
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+  }
+
+  // Handle stream errors
+  const handleError = (error) => {
+    console.error('File stream error:', error);
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({
+        success: false,
+        message: 'Error reading file'
+      });
+    } else {
+      res.destroy(error);
+    }
+  };
+  fileStream.on('error', handleError);
+
+  // Stream the file (whole-file responses are verified against the checksum)
+  if (blob.checksum && status === 200) {
+    const verifying = createVerifyingStream(blob.checksum, (actual) => {
+      console.error(`Integrity check failed for ${blob.storageKey}: expected ${blob.checksum}, got ${actual}`);
+      if (onIntegrityFailure) {
+        Promise.resolve(onIntegrityFailure(actual)).catch(error => console.error('Integrity failure handler error:', error));
+      }
+    });
+    verifying.on('error', handleError);
+    fileStream.pipe(verifying).pipe(res);
+  } else {
+    fileStream.pipe(res);
+  }
+
+  return { status, start };
+};
+
+module.exports = { sendStoredFile };
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+/**
+ * Keyset (cursor) pagination helpers
+ *
+ * A sort is a list of [field, direction] pairs; _id is always appended as a
+ * tie-breaker so every document has a unique position. A cursor encodes the
+ * sort values of the last document of a page.
+ */
+
+/**
+ * Append the _id tie-breaker to a sort (same direction as the last key)
+ * @param {Array<[string, number]>} sort - e.g. [['uploadDate', -1]]
+ * @returns {Array<[string, number]>}
+ */
+const withTieBreaker = (sort) => {
+  if (sort.some(([field]) => field === '_id')) {
+    return sort;
+  }
+  return [...sort, ['_id', sort.length > 0 ? sort[sort.length - 1][1] : 1]];
+};
+
+/**
+ * Convert a sort list to a Mongo sort object
+ */
+const toSortObject = (sort) => {
+  return sort.reduce((acc, [field, direction]) => {
+    acc[field] = direction;
+    return acc;
+  }, {});
+};
+
+/**
+ * Read a (possibly nested) field from a document
+ */
+const getValue = (doc, field) => {
+  return field.split('.').reduce((value, part) => (value == null ? undefined : value[part]), doc);
+};
+
+/**
+ * Encode the cursor pointing after a document
+ * @param {Object} doc - Last document of the page (lean)
+ * @param {Array<[string, number]>} sort - Sort including the tie-breaker
+ * @returns {string} Opaque base64url cursor
+ */
+const encodeCursor = (doc, sort) => {
+  const values = sort.map(([field]) => {
+    const value = getValue(doc, field);
+    if (value instanceof Date) {
+      return { d: value.toISOString() };
+    }
+    if (value instanceof mongoose.Types.ObjectId) {
+      return { o: value.toString() };
+    }
+    return { v: value === undefined ? null : value };
+  });
+
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @returns {Array|null} Sort values, or null if the cursor is malformed
+ */
+const decodeCursor = (cursor, sort) => {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Array.isArray(values) || values.length !== sort.length) {
+      return null;
+    }
+
+    // Only scalar values are accepted: an object could smuggle query operators
+    // into the equality branches of buildCursorFilter
+    return values.map((value) => {
+      if (!value || typeof value !== 'object') {
+        throw new Error('Invalid cursor value');
+      }
+      if (value.d !== undefined) {
+        const date = new Date(value.d);
+        if (typeof value.d !== 'string' || isNaN(date)) {
+          throw new Error('Invalid cursor date');
+        }
+        return date;
+      }
+      if (value.o !== undefined) {
+        return new mongoose.Types.ObjectId(value.o);
+      }
+      if (value.v === undefined || !(value.v === null || ['string', 'number', 'boolean'].includes(typeof value.v))) {
+        throw new Error('Invalid cursor value');
+      }
+      return value.v;
+    });
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the filter selecting documents strictly after the cursor position:
+ * (a > x) OR (a = x AND b > y) OR ... for each sort key in order
+ * @param {Array<[string, number]>} sort - Sort including the tie-breaker
+ * @param {Array} values - Decoded cursor values
+ * @returns {Object} Mongo filter
+ */
+const buildCursorFilter = (sort, values) => {
+  const branches = sort.map(([field, direction], index) => {
+    const branch = {};
+    for (let i = 0; i < index; i++) {
+      branch[sort[i][0]] = values[i];
+    }
+    branch[field] = { [direction === 1 ? '$gt' : '$lt']: values[index] };
+    return branch;
+  });
+
+  return { $or: branches };
+};
+
+module.exports = {
+  withTieBreaker,
+  toSortObject,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter
+};
@@ -0,0 +1,93 @@
+/**
+ * Escape user input for literal use inside a regular expression
+ * @param {string} value - Raw user input
+ * @returns {string}
+ */
+const escapeRegex = (value) => {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * Escape text for safe inclusion in HTML
+ */
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Split a search string into distinct terms (quotes and negations stripped)
+ * @param {string} searchTerm - Raw search string
+ * @returns {string[]}
+ */
+const getSearchTerms = (searchTerm) => {
+  const terms = String(searchTerm)
+    .split(/\s+/)
+    .map(term => term.replace(/^-/, '').replace(/"/g, '').trim())
+    .filter(term => term.length > 0);
+
+  return [...new Set(terms.map(term => term.toLowerCase()))];
+};
+
+/**
+ * Build an HTML snippet of text around the first search term match, with
+ * every match wrapped in <mark> (all other text is HTML-escaped)
+ * @param {string} text - Field value
+ * @param {string[]} terms - Search terms
+ * @param {number} maxLength - Snippet length (default 160 characters)
+ * @returns {string|null} Snippet, or null if no term matches
+ */
+const highlight = (text, terms, maxLength = 160) => {
+  if (!text || terms.length === 0) {
+    return null;
+  }
+
+  const pattern = new RegExp(terms.map(escapeRegex).join('|'), 'gi');
+  const firstMatch = pattern.exec(text);
+  if (!firstMatch) {
+    return null;
+  }
+
+  // Centre the window on the first match
+  let start = 0;
+  let end = text.length;
+  if (text.length > maxLength) {
+    start = Math.max(0, firstMatch.index - Math.floor(maxLength / 3));
+    end = Math.min(text.length, start + maxLength);
+  }
+  const window = text.slice(start, end);
+
+  let snippet = '';
+  let lastIndex = 0;
+  for (const match of window.matchAll(new RegExp(terms.map(escapeRegex).join('|'), 'gi'))) {
+    snippet += escapeHtml(window.slice(lastIndex, match.index));
+    snippet += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+  snippet += escapeHtml(window.slice(lastIndex));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Build highlighted snippets for the searchable fields of a document
+ * @param {Object} doc - Lean document
+ * @param {string[]} terms - Search terms
+ * @param {string[]} fields - Fields to highlight
+ * @returns {Object} { field: snippet } for every field that matched
+ */
+const buildHighlights = (doc, terms, fields) => {
+  return fields.reduce((highlights, field) => {
+    const snippet = highlight(doc[field], terms);
+    if (snippet) {
+      highlights[field] = snippet;
+    }
+    return highlights;
+  }, {});
+};
+
+module.exports = { escapeRegex, escapeHtml, getSearchTerms, highlight, buildHighlights };
@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+/**
+ * Generate a cryptographically random opaque token
+ * @param {number} bytes - Number of random bytes (default 48)
+ * @returns {string} URL-safe token
+ */
+const generateRandomToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString('base64url');
+};
+
+/**
+ * Sign an opaque token for storage (tokens are never stored in plain text)
+ * @param {string} token - Raw token sent to the client
+ * @returns {string} HMAC-SHA256 hex digest keyed with JWT_SECRET
+ */
+const hashToken = (token) => {
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(String(token))
+    .digest('hex');
+};
+
+module.exports = { generateRandomToken, hashToken };